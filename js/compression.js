@@ -0,0 +1,241 @@
+/**
+ * Compressed payloads for Zephyrus pages and the library (js/zephyrus.mjs)
+ * Files may be compressed before they are encrypted, marked either in the decrypted payload
+ * or by the index entry; decrypted data passes through here and comes out as the original
+ */
+
+const COMPRESSION = {
+    // Marked payload: [Magic "ZCMP" (4)][Version (1)][Algorithm (1)][Original size uint64 BE (8)]
+    // followed by the compressed bytes. An index entry's compression field instead means the
+    // whole payload is compressed, without the marker.
+    MAGIC: [0x5a, 0x43, 0x4d, 0x50],
+    VERSION: 1,
+    HEADER_SIZE: 14,
+    ALGORITHMS: { 1: 'gzip', 2: 'deflate', 3: 'zstd' },
+
+    // zstd decoder (WASM), loaded on demand (see loadZstd)
+    ZSTD_SCRIPT_URL: '../js/vendor/zstd-wasm-decompress.min.js',
+    zstd: null,
+
+    /**
+     * Read the marker at the start of decrypted data: { algorithm, originalSize } or null
+     */
+    parseHeader(data) {
+        const view = new Uint8Array(data.buffer || data, data.byteOffset || 0, Math.min(data.byteLength, this.HEADER_SIZE));
+        if (view.length < this.HEADER_SIZE || !this.MAGIC.every((byte, i) => view[i] === byte)) {
+            return null;
+        }
+        if (view[4] !== this.VERSION) {
+            throw new UnsupportedFormatError(`Unsupported compression marker version ${view[4]}. Update the page to open this file.`);
+        }
+        const algorithm = this.ALGORITHMS[view[5]];
+        if (!algorithm) {
+            throw new UnsupportedFormatError(`Unsupported compression (id ${view[5]})`);
+        }
+        const fields = new DataView(view.buffer, view.byteOffset, view.byteLength);
+        const originalSize = fields.getUint32(6, false) * 2 ** 32 + fields.getUint32(10, false);
+        return { algorithm, originalSize };
+    },
+
+    buildHeader(algorithm, originalSize) {
+        const id = Number(Object.keys(this.ALGORITHMS).find(id => this.ALGORITHMS[id] === algorithm));
+        const header = new Uint8Array(this.HEADER_SIZE);
+        header.set(this.MAGIC, 0);
+        header[4] = this.VERSION;
+        header[5] = id;
+        const fields = new DataView(header.buffer);
+        fields.setUint32(6, Math.floor(originalSize / 2 ** 32), false);
+        fields.setUint32(10, originalSize >>> 0, false);
+        return header;
+    },
+
+    /**
+     * Compress data behind the marker, ready to be encrypted: gzip or deflate
+     * (zstd payloads can be read but are only written by the CLI)
+     */
+    async compress(data, algorithm = 'gzip') {
+        if (algorithm !== 'gzip' && algorithm !== 'deflate') {
+            throw new UnsupportedFormatError(`Cannot compress with ${algorithm}; use gzip or deflate`);
+        }
+        const bytes = new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+        const compressed = await STORAGE.readAll(this.streamOf(bytes).pipeThrough(new CompressionStream(algorithm)));
+        const header = this.buildHeader(algorithm, bytes.length);
+        return CRYPTO.concatBuffers([header, compressed], header.length + compressed.length);
+    },
+
+    /**
+     * Turn a stream of decrypted bytes into the original: decompressed when the index entry
+     * names a compression or the data starts with the marker, passed through otherwise
+     * Returns { stream, compression, originalSize } - compression is null for plain data
+     */
+    async unwrap(stream, compression = null) {
+        const reader = stream.getReader();
+        // Read just enough to see whether the marker is there
+        const head = [];
+        let headLength = 0;
+        let done = false;
+        while (!compression && headLength < this.HEADER_SIZE) {
+            const result = await reader.read();
+            if (result.done) {
+                done = true;
+                break;
+            }
+            const chunk = new Uint8Array(result.value);
+            head.push(chunk);
+            headLength += chunk.length;
+        }
+
+        let prefix = CRYPTO.concatBuffers(head, headLength);
+        const marker = compression ? null : this.parseHeader(prefix);
+        if (marker) {
+            prefix = prefix.subarray(this.HEADER_SIZE);
+        }
+        // The bytes already read, then the rest of the stream
+        let upstreamError = null;
+        const rest = new ReadableStream({
+            start(controller) {
+                if (prefix.length > 0) controller.enqueue(prefix);
+                if (done) controller.close();
+            },
+            async pull(controller) {
+                let result;
+                try {
+                    result = await reader.read();
+                } catch (error) {
+                    upstreamError = error;
+                    throw error;
+                }
+                if (result.done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(result.value);
+                }
+            },
+            cancel(reason) {
+                return reader.cancel(reason);
+            }
+        });
+
+        const algorithm = compression || (marker && marker.algorithm);
+        if (!algorithm) {
+            return { stream: rest, compression: null, originalSize: null };
+        }
+        const originalSize = marker ? marker.originalSize : null;
+
+        // The decoder fails bad data with a bare TypeError; errors from upstream pass on as they are
+        const output = rest.pipeThrough(this.createDecompressionStream(algorithm, originalSize)).getReader();
+        const decompressed = new ReadableStream({
+            async pull(controller) {
+                try {
+                    const result = await output.read();
+                    if (result.done) {
+                        controller.close();
+                    } else {
+                        controller.enqueue(result.value);
+                    }
+                } catch (error) {
+                    const passOn = error === upstreamError || error instanceof ZephyrusError || error.name === 'AbortError';
+                    controller.error(passOn ? error : new CorruptDataError(`The file decrypted, but its ${algorithm}-compressed content is damaged`, { cause: error }));
+                }
+            },
+            cancel(reason) {
+                return output.cancel(reason);
+            }
+        });
+        return { stream: decompressed, compression: algorithm, originalSize: originalSize };
+    },
+
+    /**
+     * unwrap() for decrypted data already in memory; resolves with the original bytes (plain data as it is)
+     */
+    async unwrapBuffer(data, compression = null) {
+        const { stream, compression: found } = await this.unwrap(this.streamOf(data), compression);
+        return found ? STORAGE.readAll(stream) : data;
+    },
+
+    streamOf(data) {
+        return new ReadableStream({
+            start(controller) {
+                controller.enqueue(new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength));
+                controller.close();
+            }
+        });
+    },
+
+    /**
+     * A { writable, readable } pair decompressing one algorithm, checking the output against
+     * the original size when the marker recorded it
+     */
+    createDecompressionStream(algorithm, originalSize = null) {
+        let decoder;
+        if (algorithm === 'gzip' || algorithm === 'deflate') {
+            decoder = new DecompressionStream(algorithm);
+        } else if (algorithm === 'zstd') {
+            decoder = this.createZstdStream();
+        } else {
+            throw new UnsupportedFormatError(`Unsupported compression: ${algorithm}`);
+        }
+
+        let total = 0;
+        const check = new TransformStream({
+            transform(chunk, controller) {
+                total += chunk.byteLength;
+                controller.enqueue(chunk);
+            },
+            flush() {
+                if (originalSize !== null && total !== originalSize) {
+                    throw new CorruptDataError(`The file decompressed to ${total} bytes instead of ${originalSize}; it is damaged`);
+                }
+            }
+        });
+        return { writable: decoder.writable, readable: decoder.readable.pipeThrough(check) };
+    },
+
+    /**
+     * zstd frames decode in one go once the whole payload has arrived
+     */
+    createZstdStream() {
+        const compression = this;
+        const chunks = [];
+        let length = 0;
+        return new TransformStream({
+            transform(chunk) {
+                chunks.push(chunk);
+                length += chunk.byteLength;
+            },
+            async flush(controller) {
+                const zstd = await compression.loadZstd();
+                controller.enqueue(new Uint8Array(await zstd(CRYPTO.concatBuffers(chunks, length))));
+            }
+        });
+    },
+
+    /**
+     * Load the zstd decoder once
+     * Outside a page, set COMPRESSION.zstd to an async (Uint8Array) => Uint8Array function instead
+     */
+    async loadZstd() {
+        if (this.zstd) return this.zstd;
+
+        if (!globalThis.zstdCodec) {
+            if (typeof document === 'undefined') {
+                throw new UnsupportedFormatError('zstd support is not available: set COMPRESSION.zstd to a zstd decoder');
+            }
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.ZSTD_SCRIPT_URL;
+                script.onload = resolve;
+                script.onerror = () => reject(new UnsupportedFormatError('zstd support is not available: the WASM decoder could not be loaded'));
+                document.head.appendChild(script);
+            });
+        }
+
+        // @oneidentity/zstd-js: ZstdInit() compiles the module; ZstdStream also decodes
+        // frames that do not record their content size
+        const { ZstdStream } = await globalThis.zstdCodec.ZstdInit();
+        this.zstd = async (bytes) => ZstdStream.decompress(bytes);
+        return this.zstd;
+    }
+};
+
+globalThis.COMPRESSION = COMPRESSION;
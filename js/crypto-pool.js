@@ -0,0 +1,238 @@
+/**
+ * Web Worker pool for Zephyrus pages
+ * Runs CRYPTO's key derivation and AES-GCM work (js/crypto-worker.js) off the main thread,
+ * most urgent first, so unlocking and bulk downloads don't freeze the page
+ */
+
+class CryptoPool {
+    /**
+     * Options: { size, workerURL } - size defaults to one worker per spare core, up to MAX_SIZE
+     */
+    constructor(options = {}) {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency || 2;
+        this.size = options.size || Math.max(1, Math.min(CryptoPool.MAX_SIZE, cores - 1));
+        this.workerURL = options.workerURL || CryptoPool.WORKER_URL;
+        // { worker, job } per started worker; job is the one it is running, if any
+        this.workers = [];
+        // Waiting jobs, most urgent first, in arrival order within a priority
+        this.queue = [];
+        // Without worker support (or once a worker fails to start) calls run on this thread
+        this.inline = typeof Worker === 'undefined';
+    }
+
+    /**
+     * An object with CRYPTO's API whose heavy methods run in the pool
+     * Options: { priority: 'high' | 'normal' | 'low', signal } - signal cancels queued and
+     * running calls. with() returns one with changed options.
+     */
+    crypto(options = {}) {
+        const service = Object.create(CRYPTO);
+        for (const method of CryptoPool.METHODS) {
+            service[method] = (...args) => this.run(method, args, options);
+        }
+        service.with = (changes) => this.crypto({ ...options, ...changes });
+        return service;
+    }
+
+    /**
+     * Run CRYPTO[method](...args) in a worker; resolves with its result
+     */
+    run(method, args, { priority = 'normal', signal = null } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new DOMException('Aborted', 'AbortError'));
+        }
+        if (this.inline) {
+            return CRYPTO[method](...args);
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                method, args, signal, resolve, reject,
+                priority: CryptoPool.PRIORITIES[priority] ?? CryptoPool.PRIORITIES.normal,
+                onAbort: null
+            };
+            const later = this.queue.findIndex(queued => queued.priority > job.priority);
+            this.queue.splice(later === -1 ? this.queue.length : later, 0, job);
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            this.pump();
+        });
+    }
+
+    /**
+     * Hand queued jobs to idle workers, starting workers up to the pool size
+     */
+    pump() {
+        while (this.queue.length > 0 && !this.inline) {
+            let slot = this.workers.find(slot => !slot.job);
+            if (!slot && this.workers.length < this.size) {
+                slot = this.spawn();
+            }
+            if (!slot) return;
+
+            const job = this.queue.shift();
+            slot.job = job;
+            const { args, transferList } = this.prepare(job.method, job.args);
+            slot.worker.postMessage({ method: job.method, args: args }, transferList);
+        }
+    }
+
+    spawn() {
+        let worker;
+        try {
+            worker = new Worker(this.workerURL);
+        } catch (error) {
+            this.fallBack(error);
+            return null;
+        }
+        const slot = { worker, job: null };
+        worker.onmessage = (event) => this.finish(slot, event.data);
+        // Only a worker that failed to load reports here; CRYPTO errors come back as messages
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.fallBack(event.message || 'the worker script failed to load');
+        };
+        this.workers.push(slot);
+        return slot;
+    }
+
+    finish(slot, { result, error }) {
+        const job = slot.job;
+        slot.job = null;
+        if (job) {
+            if (error) {
+                this.settle(job, () => job.reject(this.reviveError(error)));
+            } else {
+                this.settle(job, () => job.resolve(result));
+            }
+        }
+        this.pump();
+    }
+
+    /**
+     * Drop a cancelled job: a queued one is just removed, a running one stops its worker,
+     * the only way to interrupt a key derivation
+     */
+    cancel(job) {
+        const abort = () => job.reject(new DOMException('Aborted', 'AbortError'));
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            this.settle(job, abort);
+            return;
+        }
+        const slot = this.workers.find(slot => slot.job === job);
+        if (!slot) return;
+        slot.worker.terminate();
+        this.workers.splice(this.workers.indexOf(slot), 1);
+        this.settle(job, abort);
+        // Once every listener of the signal has run, so jobs cancelled with this one don't start
+        queueMicrotask(() => this.pump());
+    }
+
+    settle(job, callback) {
+        if (job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+        callback();
+    }
+
+    /**
+     * Run everything on this thread from now on, including the jobs workers had
+     */
+    fallBack(reason) {
+        console.warn('Crypto workers are unavailable, decrypting on the page instead:', reason);
+        this.inline = true;
+        for (const job of this.stopWorkers()) {
+            this.settle(job, () => job.resolve(CRYPTO[job.method](...job.args)));
+        }
+    }
+
+    /**
+     * Arguments as posted: part of a larger buffer (a segment of a download) is copied out and
+     * the copy transferred, rather than cloning the whole buffer around it. Callers' own
+     * buffers are cloned, never detached; results come back transferred. For an Argon2id job,
+     * password key material goes with its password bytes (see CRYPTO.passwords), which don't
+     * survive cloning; every other job gets the key material alone.
+     */
+    prepare(method, args) {
+        const argon2id = CryptoPool.usesArgon2id(method, args);
+        const transferList = [];
+        const posted = args.map(arg => {
+            if (argon2id && CRYPTO.passwords.has(arg)) {
+                return { passwordKey: arg, password: CRYPTO.passwords.get(arg) };
+            }
+            if (!ArrayBuffer.isView(arg) || (arg.byteOffset === 0 && arg.byteLength === arg.buffer.byteLength)) {
+                return arg;
+            }
+            const copy = new Uint8Array(arg.buffer, arg.byteOffset, arg.byteLength).slice();
+            transferList.push(copy.buffer);
+            return copy;
+        });
+        return { args: posted, transferList };
+    }
+
+    /**
+     * Whether a call derives a key with Argon2id: decrypting data whose header says so, or
+     * encrypting with { kdf: 'argon2id' }
+     */
+    static usesArgon2id(method, args) {
+        if (method === 'encryptWithPassword') {
+            return Boolean(args[2] && args[2].kdf === 'argon2id' && args[2].format !== 'legacy');
+        }
+        if (method !== 'decryptWithPassword') return false;
+        try {
+            return CRYPTO.kdfOf(new Uint8Array(args[0])) === 'argon2id';
+        } catch (error) {
+            // Unreadable headers fail in the worker, with its error
+            return false;
+        }
+    }
+
+    /**
+     * Errors cross from the worker as { name, message }; typed ones get their class back, and
+     * WebCrypto's keep their name (ERRORS.fromDecryptError() goes by it)
+     */
+    reviveError({ name, message }) {
+        const type = globalThis[name];
+        if (typeof type === 'function' && type.prototype instanceof ZephyrusError) {
+            return new type(message);
+        }
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Stop every worker; calls still waiting or running fail with an AbortError
+     */
+    terminate() {
+        for (const job of this.stopWorkers()) {
+            this.settle(job, () => job.reject(new DOMException('Aborted', 'AbortError')));
+        }
+    }
+
+    /**
+     * Stop the workers and empty the queue; returns the jobs they had
+     */
+    stopWorkers() {
+        const jobs = [...this.workers.map(slot => slot.job).filter(Boolean), ...this.queue];
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+        }
+        this.workers = [];
+        this.queue = [];
+        return jobs;
+    }
+}
+
+CryptoPool.WORKER_URL = '../js/crypto-worker.js';
+CryptoPool.MAX_SIZE = 4;
+CryptoPool.PRIORITIES = { high: 0, normal: 1, low: 2 };
+// CRYPTO methods run in a worker; everything else is called on CRYPTO itself
+CryptoPool.METHODS = ['decryptWithPassword', 'encryptWithPassword', 'decryptWithKey', 'encryptWithKey', 'decryptSegment'];
+
+// Shared by everything on the page
+const CRYPTO_POOL = new CryptoPool();
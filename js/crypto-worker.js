@@ -0,0 +1,36 @@
+/**
+ * Worker side of CryptoPool (js/crypto-pool.js)
+ * Runs one CRYPTO method per message and posts back { result } or { error: { name, message } }
+ */
+
+importScripts('errors.js', 'crypto.js');
+
+// Only the methods the pool hands out, never anything reached through the prototype
+const METHODS = new Set(['decryptWithPassword', 'encryptWithPassword', 'decryptWithKey', 'encryptWithKey', 'decryptSegment']);
+
+self.onmessage = async (event) => {
+    const { method, args } = event.data;
+    const passwordKeys = [];
+    try {
+        if (!METHODS.has(method)) {
+            throw new Error(`Unknown crypto method: ${method}`);
+        }
+        // For Argon2id, password key material arrives with its password bytes (CryptoPool.prepare())
+        const revived = args.map(arg => {
+            if (!arg || !arg.passwordKey) return arg;
+            CRYPTO.passwords.set(arg.passwordKey, arg.password);
+            passwordKeys.push(arg.passwordKey);
+            return arg.passwordKey;
+        });
+        const result = await CRYPTO[method](...revived);
+        // The result was made here and isn't needed again, so it moves rather than copies
+        self.postMessage({ result }, ArrayBuffer.isView(result) ? [result.buffer] : []);
+    } catch (error) {
+        self.postMessage({ error: { name: error.name, message: error.message } });
+    } finally {
+        // The vault's lock can't reach this copy, so it is wiped as soon as the call is done
+        for (const passwordKey of passwordKeys) {
+            CRYPTO.forgetPassword(passwordKey);
+        }
+    }
+};
@@ -1,96 +1,604 @@
 /**
  * Shared cryptography utilities for Zephyrus pages
- * Provides AES-GCM encryption/decryption, PBKDF2 key derivation
+ * Provides AES-GCM encryption/decryption, PBKDF2 and Argon2id key derivation
  */
 
 const CRYPTO = {
     SALT_SIZE: 16,
     NONCE_SIZE: 12,
-    ITERATIONS: 100000,
+    ITERATIONS: 100000,     // Legacy headerless data only
     KEY_SIZE: 256,
+    TAG_SIZE: 16,
+
+    // Chunked container: [Magic "ZSEG" (4)][Version (1)][Segment size uint32 BE (4)][Nonce prefix (7)]
+    // followed by segments of [Ciphertext (segment size)][Tag (16)], the last one possibly shorter.
+    // Segment nonce = [Nonce prefix (7)][Segment index uint32 BE (4)][Final flag (1)], header is the AAD.
+    CHUNKED_MAGIC: [0x5a, 0x53, 0x45, 0x47],
+    CHUNKED_VERSION: 1,
+    CHUNKED_HEADER_SIZE: 16,
+
+    // Versioned header: [Magic "ZENC" (4)][Version (1)][Cipher (1)][KDF (1)][KDF params][Nonce (12)]
+    // followed by the ciphertext; the whole header is the AAD. KDF params:
+    //   none:     (empty, data is encrypted with a raw key)
+    //   PBKDF2:   [Iterations uint32 BE (4)][Salt (16)]                  - PBKDF2-SHA256
+    //   Argon2id: [Memory KiB uint32 BE (4)][Passes uint32 BE (4)][Parallelism (1)][Salt (16)]
+    // Data without the magic is the legacy headerless format.
+    HEADER_MAGIC: [0x5a, 0x45, 0x4e, 0x43],
+    HEADER_VERSION: 1,
+    CIPHERS: { 1: 'AES-256-GCM' },
+    KDFS: { 0: 'none', 1: 'pbkdf2', 2: 'argon2id' },
+
+    // Used when encrypting; existing data always carries its own parameters
+    KDF_DEFAULTS: {
+        pbkdf2: { iterations: 600000 },
+        argon2id: { memory: 65536, passes: 3, parallelism: 1 }
+    },
+
+    // Refuse parameters that would hang the page before the tag can be checked
+    KDF_LIMITS: {
+        pbkdf2: { iterations: 10000000 },
+        argon2id: { memory: 1048576, passes: 64, parallelism: 16 }
+    },
+
+    // Argon2id implementation, loaded on demand (see deriveArgon2id)
+    ARGON2_SCRIPT_URL: '../js/vendor/argon2-bundled.min.js',
+    argon2: null,
+
+    // Password bytes behind key material from importPassword(), for Argon2id, which WebCrypto
+    // doesn't implement. Only kept for data that uses Argon2id, in memory only: key material
+    // restored from a saved session has none, and forgetPassword() wipes them.
+    passwords: new WeakMap(),
+
+    /**
+     * Import a password as non-extractable PBKDF2 key material
+     * The resulting CryptoKey can derive keys for any salt but never reveal the password.
+     * Options: { kdf } - the KDF of the data the password is for (see kdfOf()): for 'argon2id'
+     * the bytes stay in passwords until forgetPassword(), otherwise they are zeroed right away.
+     */
+    async importPassword(password, options = {}) {
+        const bytes = new TextEncoder().encode(password);
+        const keyMaterial = await globalThis.crypto.subtle.importKey('raw', bytes, 'PBKDF2', false, ['deriveBits']);
+        if (options.kdf === 'argon2id') {
+            this.passwords.set(keyMaterial, bytes);
+        } else {
+            bytes.fill(0);
+        }
+        return keyMaterial;
+    },
+
+    /**
+     * Run callback(keyMaterial) for a password given as key material or a string; a string is
+     * imported for this call only and its bytes are wiped afterwards
+     */
+    async usingPassword(password, kdf, callback) {
+        if (typeof password !== 'string') {
+            return callback(password);
+        }
+        const keyMaterial = await this.importPassword(password, { kdf });
+        try {
+            return await callback(keyMaterial);
+        } finally {
+            this.forgetPassword(keyMaterial);
+        }
+    },
+
+    /**
+     * Overwrite and drop the password bytes kept for key material, e.g. when a vault locks
+     */
+    forgetPassword(keyMaterial) {
+        const bytes = keyMaterial && this.passwords.get(keyMaterial);
+        if (!bytes) return;
+        bytes.fill(0);
+        this.passwords.delete(keyMaterial);
+    },
+
+    /**
+     * Import a raw 32-byte key as a non-extractable AES-GCM key (CryptoKeys are returned as-is)
+     */
+    async importAESKey(keyBuffer) {
+        if (!(keyBuffer instanceof ArrayBuffer) && !ArrayBuffer.isView(keyBuffer)) {
+            return keyBuffer;
+        }
+        return globalThis.crypto.subtle.importKey('raw', keyBuffer, 'AES-GCM', false, ['decrypt']);
+    },
 
     /**
-     * Decrypt a file using a password (with PBKDF2 key derivation)
-     * Format: [Salt (16 bytes)][Nonce (12 bytes)][Ciphertext]
+     * Decrypt data using a password
+     * The password may be a string or key material from importPassword()
+     * Format: versioned header (PBKDF2 or Argon2id) or legacy [Salt (16 bytes)][Nonce (12 bytes)][Ciphertext]
      */
     async decryptWithPassword(encryptedData, password) {
         const view = new Uint8Array(encryptedData);
-        const salt = view.slice(0, this.SALT_SIZE);
-        const nonce = view.slice(this.SALT_SIZE, this.SALT_SIZE + this.NONCE_SIZE);
-        const ciphertext = view.slice(this.SALT_SIZE + this.NONCE_SIZE);
-
-        // Derive key using PBKDF2
-        const keyMaterial = await window.crypto.subtle.importKey(
-            'raw',
-            new TextEncoder().encode(password),
-            'PBKDF2',
-            false,
-            ['deriveBits']
-        );
+        const header = this.hasHeader(view) ? this.parseHeader(view) : null;
+        if (header && header.kdf === 'none') {
+            throw new Error('Data is encrypted with a file key, not a password');
+        }
 
-        const derivedBits = await window.crypto.subtle.deriveBits(
-            {
-                name: 'PBKDF2',
-                salt: salt,
-                iterations: this.ITERATIONS,
-                hash: 'SHA-256'
-            },
-            keyMaterial,
-            this.KEY_SIZE
-        );
+        return this.usingPassword(password, header ? header.kdf : 'pbkdf2', async (keyMaterial) => {
+            if (header) {
+                const key = await this.deriveKey(keyMaterial, header);
+                return this.decryptAESGCM(key, header.nonce, view.subarray(header.length), header.bytes);
+            }
 
-        const key = await window.crypto.subtle.importKey(
-            'raw',
-            derivedBits,
-            'AES-GCM',
-            false,
-            ['decrypt']
-        );
+            // Legacy: PBKDF2-SHA256 with fixed iterations
+            const salt = view.slice(0, this.SALT_SIZE);
+            const nonce = view.slice(this.SALT_SIZE, this.SALT_SIZE + this.NONCE_SIZE);
+            const ciphertext = view.slice(this.SALT_SIZE + this.NONCE_SIZE);
+            const key = await this.deriveKey(keyMaterial, { kdf: 'pbkdf2', iterations: this.ITERATIONS, salt: salt });
+            return this.decryptAESGCM(key, nonce, ciphertext);
+        });
+    },
 
-        // Decrypt using AES-GCM
-        const decrypted = await window.crypto.subtle.decrypt(
-            {
-                name: 'AES-GCM',
-                iv: nonce
-            },
+    /**
+     * Encrypt data with a password, writing the versioned header
+     * Options: { kdf: 'pbkdf2' | 'argon2id', ...parameters } - defaults from KDF_DEFAULTS -
+     * or { format: 'legacy' } for the headerless layout older CLI versions read
+     */
+    async encryptWithPassword(data, password, options = {}) {
+        const kdf = options.format === 'legacy' ? 'pbkdf2' : options.kdf || 'pbkdf2';
+        return this.usingPassword(password, kdf, async (keyMaterial) => {
+            if (options.format === 'legacy') {
+                const salt = globalThis.crypto.getRandomValues(new Uint8Array(this.SALT_SIZE));
+                const key = await this.deriveKey(keyMaterial, { kdf: 'pbkdf2', iterations: this.ITERATIONS, salt: salt }, ['encrypt']);
+                const sealed = await this.encryptLegacy(key, data);
+                return this.concatBuffers([salt, sealed], salt.length + sealed.length);
+            }
+
+            const params = {
+                ...this.KDF_DEFAULTS[kdf],
+                ...options,
+                kdf: kdf,
+                salt: globalThis.crypto.getRandomValues(new Uint8Array(this.SALT_SIZE))
+            };
+            const key = await this.deriveKey(keyMaterial, params, ['encrypt']);
+            return this.encryptWithHeader(key, params, data);
+        });
+    },
+
+    /**
+     * Encrypt data with a raw 32-byte key or AES-GCM CryptoKey, writing the versioned header
+     * Options: { format: 'legacy' } for the headerless [Nonce (12 bytes)][Ciphertext] layout
+     */
+    async encryptWithKey(data, keyBuffer, options = {}) {
+        const key = keyBuffer instanceof ArrayBuffer || ArrayBuffer.isView(keyBuffer)
+            ? await globalThis.crypto.subtle.importKey('raw', keyBuffer, 'AES-GCM', false, ['encrypt'])
+            : keyBuffer;
+        if (options.format === 'legacy') {
+            return this.encryptLegacy(key, data);
+        }
+        return this.encryptWithHeader(key, { kdf: 'none' }, data);
+    },
+
+    /**
+     * [Nonce (12 bytes)][Ciphertext] with a fresh random nonce
+     */
+    async encryptLegacy(key, data) {
+        const nonce = globalThis.crypto.getRandomValues(new Uint8Array(this.NONCE_SIZE));
+        const ciphertext = await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, key, data);
+        return this.concatBuffers([nonce, new Uint8Array(ciphertext)], nonce.length + ciphertext.byteLength);
+    },
+
+    async encryptWithHeader(key, params, data) {
+        const header = this.buildHeader({ ...params, nonce: globalThis.crypto.getRandomValues(new Uint8Array(this.NONCE_SIZE)) });
+        const ciphertext = await globalThis.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: header.slice(header.length - this.NONCE_SIZE), additionalData: header },
             key,
-            ciphertext
+            data
         );
+        return this.concatBuffers([header, new Uint8Array(ciphertext)], header.length + ciphertext.byteLength);
+    },
+
+    /**
+     * Encryption options that reproduce the format of existing password-encrypted data,
+     * so rewriting a file never downgrades or changes its KDF
+     */
+    formatOf(data) {
+        if (!this.hasHeader(data)) return { format: 'legacy' };
+        const header = this.parseHeader(data);
+        const options = { kdf: header.kdf };
+        for (const name of ['iterations', 'memory', 'passes', 'parallelism']) {
+            if (header[name] !== undefined) options[name] = header[name];
+        }
+        return options;
+    },
+
+    /**
+     * The KDF password-encrypted data was written with: its header's, or 'pbkdf2' for the
+     * legacy format
+     */
+    kdfOf(data) {
+        return this.hasHeader(data) ? this.parseHeader(data).kdf : 'pbkdf2';
+    },
+
+    /**
+     * Check whether data starts with the versioned header magic
+     */
+    hasHeader(data) {
+        const view = new Uint8Array(data.buffer || data, data.byteOffset || 0, Math.min(data.byteLength, 5));
+        return view.length === 5 && this.HEADER_MAGIC.every((byte, i) => view[i] === byte);
+    },
+
+    /**
+     * Parse a versioned header into { version, cipher, kdf, ...KDF parameters, nonce, length, bytes }
+     */
+    parseHeader(data) {
+        const view = new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+        const fields = new DataView(view.buffer, view.byteOffset, view.byteLength);
+        const need = (length) => {
+            if (view.length < length) throw new CorruptDataError('Encrypted data is truncated');
+        };
+
+        need(7);
+        const version = view[4];
+        if (version !== this.HEADER_VERSION) {
+            throw new UnsupportedFormatError(`Unsupported encryption format version ${version}. Update the page to open this file.`);
+        }
+        const cipher = this.CIPHERS[view[5]];
+        if (!cipher) {
+            throw new UnsupportedFormatError(`Unsupported cipher (id ${view[5]})`);
+        }
+        const kdf = this.KDFS[view[6]];
+        if (!kdf) {
+            throw new UnsupportedFormatError(`Unsupported key derivation function (id ${view[6]})`);
+        }
+
+        const header = { version, cipher, kdf };
+        let offset = 7;
+        if (kdf === 'pbkdf2') {
+            need(offset + 4 + this.SALT_SIZE);
+            header.iterations = fields.getUint32(offset, false);
+            offset += 4;
+        } else if (kdf === 'argon2id') {
+            need(offset + 9 + this.SALT_SIZE);
+            header.memory = fields.getUint32(offset, false);
+            header.passes = fields.getUint32(offset + 4, false);
+            header.parallelism = view[offset + 8];
+            offset += 9;
+        }
+        if (kdf !== 'none') {
+            header.salt = view.slice(offset, offset + this.SALT_SIZE);
+            offset += this.SALT_SIZE;
+        }
+
+        need(offset + this.NONCE_SIZE);
+        header.nonce = view.slice(offset, offset + this.NONCE_SIZE);
+        header.length = offset + this.NONCE_SIZE;
+        header.bytes = view.slice(0, header.length);
+        this.checkKDFParameters(header);
+        return header;
+    },
+
+    /**
+     * Serialize a versioned header (AES-256-GCM) from { kdf, ...KDF parameters, salt, nonce }
+     */
+    buildHeader(params) {
+        const kdfId = Number(Object.keys(this.KDFS).find(id => this.KDFS[id] === params.kdf));
+        if (Number.isNaN(kdfId)) {
+            throw new UnsupportedFormatError(`Unsupported key derivation function: ${params.kdf}`);
+        }
+        this.checkKDFParameters(params);
+
+        const paramsSize = { none: 0, pbkdf2: 4 + this.SALT_SIZE, argon2id: 9 + this.SALT_SIZE }[params.kdf];
+        const header = new Uint8Array(7 + paramsSize + this.NONCE_SIZE);
+        const fields = new DataView(header.buffer);
+        header.set(this.HEADER_MAGIC, 0);
+        header[4] = this.HEADER_VERSION;
+        header[5] = 1;
+        header[6] = kdfId;
+
+        let offset = 7;
+        if (params.kdf === 'pbkdf2') {
+            fields.setUint32(offset, params.iterations, false);
+            offset += 4;
+        } else if (params.kdf === 'argon2id') {
+            fields.setUint32(offset, params.memory, false);
+            fields.setUint32(offset + 4, params.passes, false);
+            header[offset + 8] = params.parallelism;
+            offset += 9;
+        }
+        if (params.kdf !== 'none') {
+            header.set(params.salt, offset);
+            offset += this.SALT_SIZE;
+        }
+        header.set(params.nonce, offset);
+        return header;
+    },
+
+    checkKDFParameters(params) {
+        const limits = this.KDF_LIMITS[params.kdf];
+        if (!limits) return;
+        for (const [name, max] of Object.entries(limits)) {
+            if (!(params[name] >= 1 && params[name] <= max)) {
+                throw new UnsupportedFormatError(`Unsupported ${params.kdf} parameter ${name}=${params[name]}`);
+            }
+        }
+    },
+
+    /**
+     * Derive an AES-GCM key from password key material and KDF parameters
+     */
+    async deriveKey(keyMaterial, params, usages = ['decrypt']) {
+        let derivedBits;
+        if (params.kdf === 'pbkdf2') {
+            derivedBits = await globalThis.crypto.subtle.deriveBits(
+                {
+                    name: 'PBKDF2',
+                    salt: params.salt,
+                    iterations: params.iterations,
+                    hash: 'SHA-256'
+                },
+                keyMaterial,
+                this.KEY_SIZE
+            );
+        } else if (params.kdf === 'argon2id') {
+            derivedBits = await this.deriveArgon2id(keyMaterial, params);
+        } else {
+            throw new UnsupportedFormatError(`Unsupported key derivation function: ${params.kdf}`);
+        }
+
+        return globalThis.crypto.subtle.importKey('raw', derivedBits, 'AES-GCM', false, usages);
+    },
+
+    /**
+     * Argon2id over the password bytes with the data's own salt
+     * Uses CRYPTO.argon2 if set - async ({ password, salt, memory, passes, parallelism, hashLength }) => bytes -
+     * otherwise loads the argon2-browser WASM bundle from ARGON2_SCRIPT_URL.
+     */
+    async deriveArgon2id(keyMaterial, params) {
+        const password = this.passwords.get(keyMaterial);
+        if (!password) {
+            throw new ZephyrusError('This data is protected with Argon2id, which needs the password itself: lock the vault and unlock it with the password again');
+        }
+        const argon2 = await this.loadArgon2();
+        return argon2({
+            password: password,
+            salt: params.salt,
+            memory: params.memory,
+            passes: params.passes,
+            parallelism: params.parallelism,
+            hashLength: this.KEY_SIZE / 8
+        });
+    },
+
+    /**
+     * Load the Argon2id implementation once
+     * Outside a page, set CRYPTO.argon2 to an async ({ password, salt, memory, passes,
+     * parallelism, hashLength }) => Uint8Array hash function instead
+     */
+    async loadArgon2() {
+        if (this.argon2) return this.argon2;
+
+        if (!globalThis.argon2 && typeof document === 'undefined' && typeof importScripts === 'function') {
+            // In js/crypto-worker.js, which resolves the URL from js/ just as the pages do
+            importScripts(this.ARGON2_SCRIPT_URL);
+        }
+        if (!globalThis.argon2) {
+            if (typeof document === 'undefined') {
+                throw new UnsupportedFormatError('Argon2id support is not available: set CRYPTO.argon2 to an Argon2id implementation');
+            }
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.ARGON2_SCRIPT_URL;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Argon2id support is not available: the WASM module could not be loaded'));
+                document.head.appendChild(script);
+            });
+        }
+
+        const lib = globalThis.argon2;
+        this.argon2 = async (options) => {
+            const result = await lib.hash({
+                pass: options.password,
+                salt: options.salt,
+                mem: options.memory,
+                time: options.passes,
+                parallelism: options.parallelism,
+                hashLen: options.hashLength,
+                type: lib.ArgonType.Argon2id
+            });
+            return result.hash;
+        };
+        return this.argon2;
+    },
 
+    /**
+     * AES-GCM decrypt with an optional AAD
+     */
+    async decryptAESGCM(key, nonce, ciphertext, additionalData) {
+        const params = { name: 'AES-GCM', iv: nonce };
+        if (additionalData) params.additionalData = additionalData;
+        const decrypted = await globalThis.crypto.subtle.decrypt(params, key, ciphertext);
         return new Uint8Array(decrypted);
     },
 
     /**
-     * Decrypt a file using a raw 32-byte key (no PBKDF2)
-     * Format: [Nonce (12 bytes)][Ciphertext]
+     * Decrypt a file using a raw 32-byte key or AES-GCM CryptoKey (no PBKDF2)
+     * Format: versioned header without KDF, the chunked container or legacy [Nonce (12 bytes)][Ciphertext]
      */
     async decryptWithKey(encryptedData, keyBuffer) {
         const view = new Uint8Array(encryptedData);
+        if (this.isChunked(view)) {
+            return this.decryptChunked(view, keyBuffer);
+        }
+        if (this.hasHeader(view)) {
+            const header = this.parseHeader(view);
+            if (header.kdf !== 'none') {
+                throw new Error('Data is encrypted with a password, not a file key');
+            }
+            const key = await this.importAESKey(keyBuffer);
+            return this.decryptAESGCM(key, header.nonce, view.subarray(header.length), header.bytes);
+        }
+
+        // Legacy: [Nonce (12 bytes)][Ciphertext]
         const nonce = view.slice(0, this.NONCE_SIZE);
         const ciphertext = view.slice(this.NONCE_SIZE);
+        const key = await this.importAESKey(keyBuffer);
+        return this.decryptAESGCM(key, nonce, ciphertext);
+    },
 
-        // Import the key directly
-        const key = await window.crypto.subtle.importKey(
-            'raw',
-            keyBuffer,
-            'AES-GCM',
-            false,
-            ['decrypt']
-        );
+    /**
+     * Check whether data starts with the chunked container header
+     */
+    isChunked(data) {
+        const view = new Uint8Array(data.buffer || data, data.byteOffset || 0, Math.min(data.byteLength, this.CHUNKED_HEADER_SIZE));
+        return view.length >= this.CHUNKED_HEADER_SIZE &&
+            this.CHUNKED_MAGIC.every((byte, i) => view[i] === byte) &&
+            view[4] === this.CHUNKED_VERSION;
+    },
+
+    /**
+     * Parse a chunked container header
+     */
+    parseChunkedHeader(data) {
+        const header = data.slice(0, this.CHUNKED_HEADER_SIZE);
+        const segmentSize = new DataView(header.buffer).getUint32(5, false);
+        if (segmentSize === 0) {
+            throw new CorruptDataError('Invalid chunked file header: segment size is zero');
+        }
+        return {
+            header: header,
+            segmentSize: segmentSize,
+            noncePrefix: header.slice(9, 16)
+        };
+    },
+
+    /**
+     * Decrypt one segment of a chunked container
+     */
+    async decryptSegment(key, info, index, isFinal, segment) {
+        const nonce = new Uint8Array(this.NONCE_SIZE);
+        nonce.set(info.noncePrefix, 0);
+        new DataView(nonce.buffer).setUint32(7, index, false);
+        nonce[11] = isFinal ? 1 : 0;
 
-        // Decrypt using AES-GCM
-        const decrypted = await window.crypto.subtle.decrypt(
+        const decrypted = await globalThis.crypto.subtle.decrypt(
             {
                 name: 'AES-GCM',
-                iv: nonce
+                iv: nonce,
+                additionalData: info.header
             },
             key,
-            ciphertext
+            segment
         );
-
         return new Uint8Array(decrypted);
     },
 
+    /**
+     * Decrypt a complete chunked container held in memory
+     */
+    async decryptChunked(view, keyBuffer) {
+        const info = this.parseChunkedHeader(view);
+        const key = await this.importAESKey(keyBuffer);
+        const encryptedSegmentSize = info.segmentSize + this.TAG_SIZE;
+
+        const parts = [];
+        let offset = this.CHUNKED_HEADER_SIZE;
+        let index = 0;
+        let totalLength = 0;
+        do {
+            const end = Math.min(offset + encryptedSegmentSize, view.length);
+            const isFinal = end === view.length;
+            const plain = await this.decryptSegment(key, info, index, isFinal, view.subarray(offset, end));
+            parts.push(plain);
+            totalLength += plain.length;
+            offset = end;
+            index++;
+        } while (offset < view.length);
+
+        return this.concatBuffers(parts, totalLength);
+    },
+
+    /**
+     * Create a TransformStream that decrypts encrypted bytes with a raw 32-byte key.
+     * Chunked containers are decrypted segment by segment as data arrives;
+     * single-shot data (versioned header or legacy) is buffered and decrypted once the stream ends.
+     */
+    createDecryptionStream(keyBuffer) {
+        const crypto = this;
+        let key = null;
+        let mode = null;
+        let info = null;
+        let encryptedSegmentSize = 0;
+        let pending = new Uint8Array(0);
+        let legacyChunks = [];
+        let legacyLength = 0;
+        let index = 0;
+        // The key is known to be right here, so a failed tag check means damaged data
+        const decrypt = (promise) => promise.catch(error => {
+            throw ERRORS.fromDecryptError(error, 'The encrypted file is damaged: part of it failed its integrity check');
+        });
+
+        return new TransformStream({
+            async start() {
+                key = await crypto.importAESKey(keyBuffer);
+            },
+
+            async transform(chunk, controller) {
+                chunk = new Uint8Array(chunk);
+
+                if (mode === 'legacy') {
+                    legacyChunks.push(chunk);
+                    legacyLength += chunk.length;
+                    return;
+                }
+
+                pending = crypto.concatBuffers([pending, chunk], pending.length + chunk.length);
+
+                if (!mode) {
+                    if (pending.length < crypto.CHUNKED_HEADER_SIZE) return;
+                    if (!crypto.isChunked(pending)) {
+                        mode = 'legacy';
+                        legacyChunks = [pending];
+                        legacyLength = pending.length;
+                        pending = new Uint8Array(0);
+                        return;
+                    }
+                    mode = 'chunked';
+                    info = crypto.parseChunkedHeader(pending);
+                    encryptedSegmentSize = info.segmentSize + crypto.TAG_SIZE;
+                    pending = pending.slice(crypto.CHUNKED_HEADER_SIZE);
+                }
+
+                // Keep at least one full segment back: only the last one is marked final
+                while (pending.length > encryptedSegmentSize) {
+                    const segment = pending.subarray(0, encryptedSegmentSize);
+                    controller.enqueue(await decrypt(crypto.decryptSegment(key, info, index, false, segment)));
+                    pending = pending.slice(encryptedSegmentSize);
+                    index++;
+                }
+            },
+
+            async flush(controller) {
+                if (mode === 'chunked') {
+                    if (pending.length < crypto.TAG_SIZE) {
+                        throw new CorruptDataError('Encrypted file is truncated');
+                    }
+                    controller.enqueue(await decrypt(crypto.decryptSegment(key, info, index, true, pending)));
+                    return;
+                }
+
+                // Legacy format (or data too short to hold a chunked header)
+                const data = mode === 'legacy' ? crypto.concatBuffers(legacyChunks, legacyLength) : pending;
+                legacyChunks = [];
+                controller.enqueue(await decrypt(crypto.decryptWithKey(data, key)));
+            }
+        });
+    },
+
+    /**
+     * Concatenate Uint8Arrays into one
+     */
+    concatBuffers(parts, totalLength) {
+        if (parts.length === 1) return parts[0];
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    },
+
     /**
      * Convert a hex string to Uint8Array
      */
@@ -111,35 +619,37 @@ const CRYPTO = {
             .join('');
     },
 
+    // MIME types by file extension, also used to pick file icons
+    MIME_TYPES: {
+        'txt': 'text/plain',
+        'json': 'application/json',
+        'html': 'text/html',
+        'htm': 'text/html',
+        'xml': 'application/xml',
+        'csv': 'text/csv',
+        'md': 'text/markdown',
+        'js': 'application/javascript',
+        'css': 'text/css',
+        'pdf': 'application/pdf',
+        'jpg': 'image/jpeg',
+        'jpeg': 'image/jpeg',
+        'png': 'image/png',
+        'gif': 'image/gif',
+        'webp': 'image/webp',
+        'svg': 'image/svg+xml',
+        'mp3': 'audio/mpeg',
+        'mp4': 'video/mp4',
+        'zip': 'application/zip',
+        'tar': 'application/x-tar',
+        'gz': 'application/gzip'
+    },
+
     /**
      * Determine MIME type from file extension
      */
     getMimeType(filename) {
         const ext = filename.toLowerCase().split('.').pop();
-        const mimeTypes = {
-            'txt': 'text/plain',
-            'json': 'application/json',
-            'html': 'text/html',
-            'htm': 'text/html',
-            'xml': 'application/xml',
-            'csv': 'text/csv',
-            'md': 'text/markdown',
-            'js': 'application/javascript',
-            'css': 'text/css',
-            'pdf': 'application/pdf',
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'gif': 'image/gif',
-            'webp': 'image/webp',
-            'svg': 'image/svg+xml',
-            'mp3': 'audio/mpeg',
-            'mp4': 'video/mp4',
-            'zip': 'application/zip',
-            'tar': 'application/x-tar',
-            'gz': 'application/gzip'
-        };
-        return mimeTypes[ext] || 'application/octet-stream';
+        return this.MIME_TYPES[ext] || 'application/octet-stream';
     },
 
     /**
@@ -154,3 +664,6 @@ const CRYPTO = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
     }
 };
+
+// Top-level names of classic scripts are not global inside ES modules; see js/zephyrus.mjs
+globalThis.CRYPTO = CRYPTO;
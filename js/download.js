@@ -0,0 +1,135 @@
+/**
+ * Save decrypted files for Zephyrus pages
+ * Streams straight to disk with the File System Access API or the service worker,
+ * falling back to an in-memory Blob download
+ */
+
+const DOWNLOADS = {
+    SERVICE_WORKER_URL: '../sw.js',
+    DOWNLOAD_PATH: 'zephyrus-download/',
+
+    /**
+     * Register the service worker used for streamed downloads
+     */
+    async init() {
+        if (!('serviceWorker' in navigator)) return;
+        try {
+            await navigator.serviceWorker.register(this.SERVICE_WORKER_URL);
+        } catch (error) {
+            console.warn('Service worker registration failed, streamed downloads disabled:', error);
+        }
+    },
+
+    /**
+     * Choose where a file will be written. Must be called before any other await in a
+     * click handler, since the save picker needs the user gesture.
+     * Returns null if the user dismissed the save dialog.
+     */
+    async openTarget(name, mimeType) {
+        if (window.showSaveFilePicker) {
+            let handle;
+            try {
+                handle = await window.showSaveFilePicker({ suggestedName: name });
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                console.warn('Save picker unavailable, falling back:', error);
+            }
+            if (handle) {
+                return {
+                    method: 'file-system',
+                    async write(stream, signal) {
+                        const writable = await handle.createWritable();
+                        await stream.pipeTo(writable, { signal });
+                    }
+                };
+            }
+        }
+
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            return {
+                method: 'service-worker',
+                write: (stream) => this.streamThroughServiceWorker(name, mimeType, stream)
+            };
+        }
+
+        return {
+            method: 'blob',
+            write: async (stream) => {
+                const blob = await new Response(stream, { headers: { 'Content-Type': mimeType } }).blob();
+                this.saveBlob(name, blob);
+            }
+        };
+    },
+
+    /**
+     * Hand a stream to the service worker, which serves it as an attachment download
+     */
+    async streamThroughServiceWorker(name, mimeType, stream) {
+        const registration = await navigator.serviceWorker.ready;
+        const id = CRYPTO.bufferToHex(window.crypto.getRandomValues(new Uint8Array(16)));
+        const channel = new MessageChannel();
+        const reader = stream.getReader();
+
+        return new Promise((resolve, reject) => {
+            let iframe = null;
+            const finish = (error) => {
+                channel.port1.close();
+                // Leave the iframe long enough for the browser to hand the download off
+                if (iframe) setTimeout(() => iframe.remove(), 1000);
+                error ? reject(error) : resolve();
+            };
+
+            channel.port1.onmessage = async (event) => {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    iframe = document.createElement('iframe');
+                    iframe.hidden = true;
+                    iframe.src = `${registration.scope}${this.DOWNLOAD_PATH}${id}`;
+                    document.body.appendChild(iframe);
+                } else if (message.type === 'pull') {
+                    try {
+                        const { done, value } = await reader.read();
+                        if (done) {
+                            channel.port1.postMessage({ type: 'done' });
+                            finish();
+                        } else {
+                            channel.port1.postMessage({ type: 'chunk', chunk: value });
+                        }
+                    } catch (error) {
+                        channel.port1.postMessage({ type: 'error', message: error.message });
+                        finish(error);
+                    }
+                } else if (message.type === 'cancel') {
+                    reader.cancel();
+                    finish(new DOMException('Download cancelled', 'AbortError'));
+                }
+            };
+
+            navigator.serviceWorker.controller.postMessage(
+                { type: 'stream-download', id: id, filename: name, mimeType: mimeType },
+                [channel.port2]
+            );
+        });
+    },
+
+    /**
+     * Save a decrypted buffer held in memory
+     */
+    saveBuffer(name, buffer) {
+        this.saveBlob(name, new Blob([buffer], { type: CRYPTO.getMimeType(name) }));
+    },
+
+    /**
+     * Trigger a browser download of a Blob
+     */
+    saveBlob(name, blob) {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(link);
+    }
+};
@@ -0,0 +1,196 @@
+/**
+ * Error types for Zephyrus pages and the library (js/zephyrus.mjs)
+ * Sorts failures into the kinds a page can explain and suggest a way out of: wrong password,
+ * missing file, rate limit, network, damaged data and unsupported format
+ */
+
+class ZephyrusError extends Error {
+    /**
+     * Options: { status, cause } - status is the HTTP status behind the error, if any
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'ZephyrusError';
+        this.status = options.status ?? null;
+    }
+}
+
+/**
+ * The vault or share password does not decrypt the data
+ */
+class WrongPasswordError extends ZephyrusError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'WrongPasswordError';
+    }
+}
+
+/**
+ * The vault, file or share does not exist where it was looked for
+ */
+class NotFoundError extends ZephyrusError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * GitHub or the raw file host refuses more requests for now; resetAt is when the limit
+ * lifts (milliseconds since the epoch), or null if it didn't say
+ */
+class RateLimitedError extends ZephyrusError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'RateLimitedError';
+        this.resetAt = options.resetAt ?? null;
+    }
+}
+
+/**
+ * The server could not be reached, or kept failing, after retrying
+ */
+class NetworkError extends ZephyrusError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Stored data is truncated, fails its integrity check or doesn't parse
+ */
+class CorruptDataError extends ZephyrusError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CorruptDataError';
+    }
+}
+
+/**
+ * Data uses an encryption format, cipher or key derivation this version can't open
+ */
+class UnsupportedFormatError extends ZephyrusError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'UnsupportedFormatError';
+    }
+}
+
+const ERRORS = {
+    /**
+     * Error for a failed response; what names what was fetched ("the vault index"), and
+     * notFound replaces the message for a 404
+     */
+    fromResponse(response, what, notFound = null) {
+        const status = response.status;
+        const limit = this.rateLimitOf(response);
+        if (limit) {
+            return new RateLimitedError(`${this.hostOf(response.url)} is limiting requests and refused ${what} (${status})`, { status, resetAt: limit.resetAt });
+        }
+        if (status === 404 || status === 410) {
+            return new NotFoundError(notFound || `${what[0].toUpperCase()}${what.slice(1)} was not found (${status})`, { status });
+        }
+        if (status >= 500) {
+            return new NetworkError(`The server failed to return ${what} (${status})`, { status });
+        }
+        return new ZephyrusError(`Failed to fetch ${what} (${status})`, { status });
+    },
+
+    /**
+     * Whether a response is a rate limit: null, or { resetAt } with resetAt null when unknown
+     * GitHub answers 403 with X-RateLimit-Remaining: 0 (or a Retry-After for its secondary
+     * limits), raw hosts answer 429; message is the API's error message, if read
+     */
+    rateLimitOf(response, message = '') {
+        const headers = response.headers;
+        const retryAfter = headers.get('Retry-After');
+        const limited = response.status === 429 ||
+            (response.status === 403 && (headers.get('X-RateLimit-Remaining') === '0' || retryAfter !== null || /rate limit/i.test(message)));
+        if (!limited) return null;
+
+        if (retryAfter !== null) {
+            const seconds = Number(retryAfter);
+            const date = Number.isFinite(seconds) ? Date.now() + seconds * 1000 : new Date(retryAfter).getTime();
+            if (Number.isFinite(date)) return { resetAt: date };
+        }
+        const reset = Number(headers.get('X-RateLimit-Reset'));
+        return { resetAt: reset > 0 ? reset * 1000 : null };
+    },
+
+    /**
+     * Type what a decryption threw. WebCrypto reports a failed AES-GCM tag check as a bare
+     * OperationError: with password set, that means a wrong password (the data could also be
+     * damaged, but that is far less likely); otherwise the key is known to be right and the
+     * data is damaged. Decrypted JSON that doesn't parse is damaged too. Anything else is returned as is.
+     */
+    fromDecryptError(error, message, { password = false } = {}) {
+        if (error instanceof ZephyrusError || error.name === 'AbortError') return error;
+        if (error.name === 'OperationError') {
+            return password ? new WrongPasswordError(message, { cause: error }) : new CorruptDataError(message, { cause: error });
+        }
+        if (error instanceof SyntaxError) {
+            return new CorruptDataError(message, { cause: error });
+        }
+        return error;
+    },
+
+    hostOf(url) {
+        try {
+            return new URL(url).host || 'The server';
+        } catch (e) {
+            return 'The server';
+        }
+    },
+
+    /**
+     * What to tell the user about an error: { title, hint, retry, retryAt } where hint says
+     * what to do, retry whether trying again can help and retryAt when (ms since the epoch)
+     * hints replaces the hint for some error names, e.g. { NotFoundError: '...' }
+     */
+    describe(error, hints = {}) {
+        const described = (title, hint, retry, retryAt = null) => ({ title, hint: hints[error.name] ?? hint, retry, retryAt });
+
+        if (error instanceof WrongPasswordError) {
+            return described('🔑 Wrong password', 'Passwords are case-sensitive; check it and try again.', false);
+        }
+        if (error instanceof NotFoundError) {
+            return described('🔍 Not found', 'Check the username and storage settings. The file may have been deleted.', false);
+        }
+        if (error instanceof RateLimitedError) {
+            if (!error.resetAt) {
+                return described('⏳ Too many requests', 'Wait a few minutes, then try again.', true);
+            }
+            const minutes = Math.max(1, Math.ceil((error.resetAt - Date.now()) / 60000));
+            return described('⏳ Too many requests', `Try again after ${new Date(error.resetAt).toLocaleTimeString()} (in about ${minutes} minute${minutes === 1 ? '' : 's'}).`, true, error.resetAt);
+        }
+        if (error instanceof NetworkError) {
+            return described('📡 Network problem', 'Check your connection, then try again.', true);
+        }
+        if (error instanceof CorruptDataError) {
+            return described('🧩 Damaged data', 'The stored copy is damaged or was changed after it was encrypted. An earlier version may still be intact.', false);
+        }
+        if (error instanceof UnsupportedFormatError) {
+            return described('🧭 Unsupported format', 'It was made by a newer version of Zephyrus; reload the page to update it.', false);
+        }
+        return described('❌ Something went wrong', '', true);
+    },
+
+    /**
+     * An error's message followed by what to do about it
+     */
+    explain(error, hints = {}) {
+        const { hint } = this.describe(error, hints);
+        const message = error.message || String(error);
+        return hint ? `${message}${/[.!?]$/.test(message) ? '' : '.'} ${hint}` : message;
+    }
+};
+
+globalThis.ZephyrusError = ZephyrusError;
+globalThis.WrongPasswordError = WrongPasswordError;
+globalThis.NotFoundError = NotFoundError;
+globalThis.RateLimitedError = RateLimitedError;
+globalThis.NetworkError = NetworkError;
+globalThis.CorruptDataError = CorruptDataError;
+globalThis.UnsupportedFormatError = UnsupportedFormatError;
+globalThis.ERRORS = ERRORS;
@@ -1,369 +1,257 @@
 /**
  * File browser logic for Zephyrus file access interface
- * Handles index decryption, directory traversal, and file downloads
+ * Handles navigation, previews, downloads, uploads and sharing on top of FileVault (vault.js)
  */
 
-class FileVault {
-    constructor(username, password) {
-        this.username = username;
-        this.password = password;
-        this.index = null;
-        this.sharedIndex = null;
-        this.currentPath = '';
-        this.repoURL = `https://raw.githubusercontent.com/${username}/.zephyrus/master`;
+/**
+ * UI Controller for the file browser
+ */
+class FileBrowserUI {
+    constructor() {
+        // The vault on screen, and every unlocked vault by PROFILES.keyFor() (most recently shown last)
+        this.vault = null;
+        this.vaults = new Map();
+        this.isLoading = false;
+        this.preview = null;
+        this.transfer = null;
+        this.selection = new Map();
+        this.selectionPath = null;
+        this.currentItems = [];
+        this.searchIndex = null;
+        this.searchTimeout = null;
+        this.idleTimeout = null;
+        this.pendingLock = null;
+        this.lastSessionTouch = 0;
+        this.pinnedURLs = new Set();
+        this.isUploading = false;
+        this.shareTarget = null;
+        this.notificationTimeout = null;
+        this.typeAhead = { text: '', timeout: null };
+        this.viewSettings = this.loadViewSettings();
+        this.thumbnails = null;
+        // Files chosen for the local backend: { files, folder, hasIndex } from LOCAL.createFolder()
+        this.localFolder = null;
+        // Vault history once loaded: { vault, commits, page, complete, selected, snapshots, diff }
+        this.history = null;
+        // While an earlier version is on screen (this.vault), the vault it belongs to
+        this.liveVault = null;
+        // Set while showing the location from the URL, so it isn't pushed back into history
+        this.applyingLocation = false;
+        this.defaultTagline = 'Securely browse and download your encrypted files';
+
+        // Files decrypted at once during bulk downloads
+        this.BULK_CONCURRENCY = 3;
     }
 
     /**
-     * Fetch and decrypt the vault index
+     * Check if user parameter exists in URL, logout if missing
      */
-    async loadIndex() {
-        try {
-            const indexUrl = `${this.repoURL}/.config/index`;
-            const response = await fetch(indexUrl);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch index (${response.status}). Check username or permissions.`);
-            }
+    checkURLParameter() {
+        const params = new URLSearchParams(window.location.search);
+        const username = params.get('u');
 
-            const encryptedBuffer = await response.arrayBuffer();
-            const decryptedBuffer = await CRYPTO.decryptWithPassword(encryptedBuffer, this.password);
-            const jsonString = new TextDecoder().decode(decryptedBuffer);
-            
-            this.index = JSON.parse(jsonString);
-            
-            // Also try to load the shared index
-            await this.loadSharedIndex();
-            
-            return this.index;
-        } catch (error) {
-            if (error instanceof SyntaxError) {
-                throw new Error('Invalid password or corrupted index');
-            }
-            throw error;
+        // If no ?u= in URL and we have a cached session, logout
+        if (!username && sessionStorage.getItem('vault_username')) {
+            this.logout();
         }
     }
 
     /**
-     * Fetch and decrypt the shared index
+     * Check URL parameters and initialize
      */
-    async loadSharedIndex() {
-        try {
-            const sharedIndexUrl = `${this.repoURL}/shared/.config/index`;
-            const response = await fetch(sharedIndexUrl);
+    initializeFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        let username = params.get('u');
 
-            if (!response.ok) {
-                // Shared index might not exist if no files have been shared
-                console.log('No shared index found');
-                this.sharedIndex = null;
-                return;
-            }
+        this.setStorageOptions(STORAGE.optionsFromParams(params));
 
-            const encryptedBuffer = await response.arrayBuffer();
-            const decryptedBuffer = await CRYPTO.decryptWithPassword(encryptedBuffer, this.password);
-            const jsonString = new TextDecoder().decode(decryptedBuffer);
-            
-            this.sharedIndex = JSON.parse(jsonString);
-            console.log('Shared index loaded:', this.sharedIndex);
-        } catch (error) {
-            console.warn('Failed to load shared index:', error);
-            this.sharedIndex = null;
+        // If no username in URL, check sessionStorage
+        if (!username) {
+            username = sessionStorage.getItem('vault_username');
+            if (username) {
+                // Update URL with cached username
+                this.updateURL(username);
+            }
         }
-    }
 
-    /**
-     * Get all shared files
-     */
-    getSharedFiles() {
-        if (!this.sharedIndex || !this.sharedIndex.files) {
-            return [];
+        if (!username) {
+            return false;
         }
 
-        const entries = Object.values(this.sharedIndex.files);
-        return entries.sort((a, b) => {
-            const dateA = new Date(a.shared_at || a.SharedAt || 0);
-            const dateB = new Date(b.shared_at || b.SharedAt || 0);
-            return dateB - dateA; // Most recent first
-        });
+        document.getElementById('usernameInput').value = username;
+        return true;
     }
 
     /**
-     * Generate share link from shared entry
+     * Read storage backend options from the auth form
      */
-    generateShareLink(sharedEntry) {
-        const filename = sharedEntry.name || sharedEntry.Name || '';
-        const encodedFilename = btoa(filename);
-        const reference = sharedEntry.reference || sharedEntry.Reference;
-        const password = sharedEntry.password || sharedEntry.Password;
-        
-        // Format: username:reference:password:base64filename
-        return `${this.username}:${reference}:${password}:${encodedFilename}`;
+    getStorageOptions() {
+        if (document.getElementById('backendSelect').value === 'local') {
+            return {
+                backend: 'local',
+                folder: this.localFolder ? this.localFolder.folder : '',
+                files: this.localFolder ? this.localFolder.files : null
+            };
+        }
+        return {
+            backend: document.getElementById('backendSelect').value,
+            branch: document.getElementById('branchInput').value.trim(),
+            host: document.getElementById('hostInput').value.trim(),
+            base: document.getElementById('baseUrlInput').value.trim()
+        };
     }
 
     /**
-     * Get the current directory contents
+     * Fill the auth form with storage backend options
      */
-    getCurrentDirectory() {
-        if (!this.index) {
-            console.error('Index not loaded');
-            return [];
-        }
-
-        // Handle different possible index structures
-        let filesObj = this.index.files || this.index.Index || this.index;
-        
-        // If it's an array, convert to object with paths as key
-        if (Array.isArray(filesObj)) {
-            const converted = {};
-            for (const item of filesObj) {
-                if (item.Path) {
-                    converted[item.Path] = item;
-                }
-            }
-            filesObj = converted;
-        }
-
-        if (!filesObj || typeof filesObj !== 'object') {
-            console.error('Invalid index structure:', this.index);
-            return [];
-        }
-
-        const items = [];
-        const seen = new Set();
-
-        // If we're in a subfolder, try to get contents from folder object
-        if (this.currentPath) {
-            const folder = filesObj[this.currentPath];
-            if (folder && folder.contents) {
-                console.log('Found folder contents for:', this.currentPath, folder.contents);
-                // Files are stored in folder.contents
-                for (const [fileName, fileEntry] of Object.entries(folder.contents)) {
-                    if (fileEntry.type === 'folder') {
-                        if (!seen.has(fileName)) {
-                            seen.add(fileName);
-                            items.push({
-                                type: 'directory',
-                                name: fileName,
-                                path: this.currentPath + '/' + fileName
-                            });
-                        }
-                    } else {
-                        const realName = fileEntry.realName || fileEntry.RealName || fileEntry.StorageName || fileEntry.storage_name || fileEntry.real_name;
-                        const fileKey = fileEntry.fileKey || fileEntry.FileKey || fileEntry.file_key;
-                        
-                        if (realName && fileKey) {
-                            items.push({
-                                type: 'file',
-                                name: fileName,
-                                path: this.currentPath + '/' + fileName,
-                                realName: realName,
-                                fileKey: fileKey,
-                                size: fileEntry.Size || fileEntry.size
-                            });
-                        }
-                    }
-                }
-                return items.sort((a, b) => {
-                    if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
-                    return a.name.localeCompare(b.name);
-                });
-            }
-        }
-
-        // Otherwise, list top-level items or items in current path prefix
-        const pathPrefix = this.currentPath ? this.currentPath + '/' : '';
-
-        for (const [vaultPath, fileEntry] of Object.entries(filesObj)) {
-            if (!vaultPath.startsWith(pathPrefix)) continue;
-
-            const relativePath = vaultPath.slice(pathPrefix.length);
-            const parts = relativePath.split('/').filter(p => p);
-
-            if (parts.length === 1) {
-                // Handle folder type entries
-                if (fileEntry.type === 'folder' || (fileEntry.contents && !fileEntry.realName)) {
-                    items.push({
-                        type: 'directory',
-                        name: parts[0],
-                        path: vaultPath
-                    });
-                    continue;
-                }
-
-                // File in current directory
-                const realName = fileEntry.realName || fileEntry.RealName || fileEntry.StorageName || fileEntry.storage_name || fileEntry.real_name;
-                const fileKey = fileEntry.fileKey || fileEntry.FileKey || fileEntry.file_key;
-                
-                if (!realName || !fileKey) {
-                    console.warn('Skipping file with missing realName or fileKey:', vaultPath, fileEntry);
-                    continue;
-                }
-                
-                items.push({
-                    type: 'file',
-                    name: parts[0],
-                    path: vaultPath,
-                    realName: realName,
-                    fileKey: fileKey,
-                    size: fileEntry.Size || fileEntry.size
-                });
-            } else if (parts.length > 1) {
-                // Directory reference
-                const dirName = parts[0];
-                if (!seen.has(dirName)) {
-                    seen.add(dirName);
-                    items.push({
-                        type: 'directory',
-                        name: dirName,
-                        path: pathPrefix + dirName
-                    });
-                }
-            }
+    setStorageOptions(options) {
+        document.getElementById('backendSelect').value = options.backend === 'url' || options.backend === 'local' ? options.backend : 'github';
+        document.getElementById('branchInput').value = options.branch || '';
+        document.getElementById('hostInput').value = options.host || '';
+        document.getElementById('baseUrlInput').value = options.base || '';
+        // Chosen files can't come from the URL; a local folder named there has to be chosen again
+        this.localFolder = options.backend === 'local' && options.files
+            ? { files: options.files, folder: options.folder, hasIndex: options.files.has(LOCAL.INDEX_PATH) }
+            : null;
+        this.updateLocalStatus(options.backend === 'local' ? options.folder : '');
+        this.updateStorageUI();
+
+        // Keep the advanced options open when they differ from the defaults
+        if (STORAGE.optionsToParams(options, new URLSearchParams()).toString()) {
+            document.getElementById('storageOptions').open = true;
         }
-
-        // Sort: directories first, then files, both alphabetically
-        return items.sort((a, b) => {
-            if (a.type !== b.type) {
-                return a.type === 'directory' ? -1 : 1;
-            }
-            return a.name.localeCompare(b.name);
-        });
     }
 
     /**
-     * Navigate to a directory
+     * Show the fields relevant to the selected backend
      */
-    navigateToDirectory(dirPath) {
-        this.currentPath = dirPath;
+    updateStorageUI() {
+        const backend = document.getElementById('backendSelect').value;
+        document.getElementById('githubStorageFields').classList.toggle('hidden', backend !== 'github');
+        document.getElementById('urlStorageFields').classList.toggle('hidden', backend !== 'url');
+        document.getElementById('localStorageFields').classList.toggle('hidden', backend !== 'local');
     }
 
     /**
-     * Navigate to parent directory
+     * Use files chosen with the folder picker or dropped on the drop zone as the local vault
      */
-    goUp() {
-        const parts = this.currentPath.split('/').filter(p => p);
-        parts.pop();
-        this.currentPath = parts.join('/');
+    chooseLocalFiles(found) {
+        if (found.length === 0) {
+            this.showError('No files were chosen');
+            return;
+        }
+        this.localFolder = LOCAL.createFolder(found);
+        this.updateLocalStatus();
+        if (!this.localFolder.hasIndex) {
+            this.showError(`No ${LOCAL.INDEX_PATH} in ${this.localFolder.folder}. Choose the top folder of a cloned vault or backup.`);
+        }
+        this.updateURL(document.getElementById('usernameInput').value.trim());
     }
 
     /**
-     * Download and decrypt a file
+     * Describe the chosen local files, or ask for the folder named in the URL
      */
-    async downloadFile(fileEntry) {
-        try {
-            console.log('Starting download for:', fileEntry.name, 'realName:', fileEntry.realName);
-            
-            const fileUrl = `${this.repoURL}/${fileEntry.realName}`;
-            console.log('Fetching from URL:', fileUrl);
-            
-            const response = await fetch(fileUrl);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch file (${response.status}). File may not exist in vault.`);
-            }
-
-            const encryptedBuffer = await response.arrayBuffer();
-            console.log('Encrypted file size:', encryptedBuffer.byteLength, 'bytes');
-            
-            // First, decrypt the file key using the vault password
-            const encryptedKeyHex = fileEntry.fileKey;
-            console.log('Encrypted file key (hex):', encryptedKeyHex.substring(0, 20) + '...');
-            
-            const encryptedKeyBuffer = CRYPTO.hexToBuffer(encryptedKeyHex);
-            console.log('Encrypted key buffer size:', encryptedKeyBuffer.length, 'bytes');
-            
-            let fileKeyBuffer;
-            try {
-                fileKeyBuffer = await CRYPTO.decryptWithPassword(encryptedKeyBuffer, this.password);
-                console.log('Decrypted file key size:', fileKeyBuffer.length, 'bytes');
-            } catch (e) {
-                throw new Error(`Failed to decrypt file key: ${e.message}`);
-            }
-            
-            if (fileKeyBuffer.length !== 32) {
-                throw new Error(`Invalid file key length after decryption: expected 32 bytes, got ${fileKeyBuffer.length}`);
-            }
-            
-            // Now decrypt the file using the decrypted key
-            const decryptedBuffer = await CRYPTO.decryptWithKey(encryptedBuffer, fileKeyBuffer);
-            console.log('Decrypted file size:', decryptedBuffer.byteLength, 'bytes');
-
-            return decryptedBuffer;
-        } catch (error) {
-            console.error('Download error:', error);
-            throw new Error(`Failed to download file: ${error.message}`);
+    updateLocalStatus(expectedFolder = '') {
+        const status = document.getElementById('localFolderStatus');
+        if (this.localFolder) {
+            status.textContent = `📂 ${LOCAL.describe(this.localFolder)}`;
+        } else {
+            status.textContent = expectedFolder ? `Choose the folder ${expectedFolder} again to open it` : 'No folder chosen';
         }
     }
 
     /**
-     * Get human-readable current path
+     * Replace the URL with the username and non-default storage options
      */
-    getCurrentPathDisplay() {
-        return this.currentPath || 'root';
+    updateURL(username, storageOptions = this.getStorageOptions()) {
+        // Keep a folder or file from a deep link until the vault is unlocked
+        const current = new URLSearchParams(window.location.search);
+        const query = this.buildQuery(username, storageOptions, { path: current.get('p'), file: current.get('f') });
+        window.history.replaceState(window.history.state, '', query ? `?${query}` : window.location.pathname);
     }
 
     /**
-     * Get breadcrumb navigation
+     * Query string for a vault location: ?u=, storage options, p (folder) and f (file path)
      */
-    getBreadcrumbs() {
-        const crumbs = [{ name: 'Root', path: '' }];
-        if (this.currentPath) {
-            const parts = this.currentPath.split('/');
-            let currentPath = '';
-            for (const part of parts) {
-                currentPath = currentPath ? currentPath + '/' + part : part;
-                crumbs.push({ name: part, path: currentPath });
-            }
-        }
-        return crumbs;
-    }
-}
-
-/**
- * UI Controller for the file browser
- */
-class FileBrowserUI {
-    constructor() {
-        this.vault = null;
-        this.isLoading = false;
-        this.notificationTimeout = null;
-        this.defaultTagline = 'Securely browse and download your encrypted files';
+    buildQuery(username, storageOptions, { path = '', file = '' } = {}) {
+        const params = new URLSearchParams();
+        if (username) params.set('u', username);
+        STORAGE.optionsToParams(storageOptions, params);
+        if (path) params.set('p', path);
+        if (file) params.set('f', file);
+        // Slashes are valid in a query; leaving them readable keeps deep links like p=projects/2026
+        return params.toString().replace(/%2F/gi, '/');
     }
 
     /**
-     * Check if user parameter exists in URL, logout if missing
+     * Keep the open folder and previewed file in the URL. push adds a history entry so Back
+     * and Forward move between folders; otherwise the current entry is updated.
      */
-    checkURLParameter() {
-        const params = new URLSearchParams(window.location.search);
-        const username = params.get('u');
-
-        // If no ?u= in URL and we have a cached session, logout
-        if (!username && sessionStorage.getItem('vault_username')) {
-            this.logout();
-        }
+    syncLocation(push = false) {
+        // Earlier versions have no address; the URL keeps the last location in the current one
+        if (!this.vault || this.applyingLocation || this.vault.isSnapshot()) return;
+        const state = { path: this.vault.currentPath, file: this.preview ? this.preview.entry.path : '' };
+        const query = this.buildQuery(this.vault.username, this.vault.storageOptions, state);
+        if (window.location.search === `?${query}`) return;
+        window.history[push ? 'pushState' : 'replaceState'](state, '', `?${query}`);
     }
 
     /**
-     * Check URL parameters and initialize
+     * Show the folder and file named in the URL: after unlocking (initial) and on Back/Forward
      */
-    initializeFromURL() {
+    applyLocation({ initial = false } = {}) {
+        if (!this.vault) return;
         const params = new URLSearchParams(window.location.search);
-        let username = params.get('u');
 
-        // If no username in URL, check sessionStorage
-        if (!username) {
-            username = sessionStorage.getItem('vault_username');
-            if (username) {
-                // Update URL with cached username
-                window.history.replaceState({}, '', `?u=${encodeURIComponent(username)}`);
+        // Back and Forward can lead to another vault: show it if it is unlocked, else its unlock form
+        if (!initial) {
+            const key = PROFILES.keyFor(params.get('u'), STORAGE.optionsFromParams(params));
+            const showing = !document.getElementById('browserSection').classList.contains('hidden');
+            if (!key && !showing) return;
+            if (key && (key !== this.vaultKey(this.vault) || !showing)) {
+                if (this.vaults.has(key)) {
+                    this.switchVault(key, { fromLocation: true });
+                } else {
+                    this.showUnlockForm(PROFILES.get(key) || { username: params.get('u'), storageOptions: STORAGE.optionsFromParams(params) }, { push: false });
+                }
+                return;
             }
         }
 
-        if (!username) {
-            return false;
+        let path = (params.get('p') || '').split('/').filter(p => p).join('/');
+        const filePath = params.get('f') || '';
+
+        if (path && !this.vault.index.getFolder(path)) {
+            this.showError(`Folder /${path} is not in this vault`);
+            path = '';
         }
 
-        document.getElementById('usernameInput').value = username;
-        return true;
+        this.applyingLocation = true;
+        try {
+            if (initial) {
+                this.vault.navigateToDirectory(path);
+                this.updateBreadcrumb();
+                this.renderCurrentDirectory();
+            } else if (path !== this.vault.currentPath || this.isSearchActive()) {
+                this.openDirectory(path, this.trailChild(path, this.vault.currentPath));
+            }
+
+            const previewed = this.preview ? this.preview.entry.path : '';
+            if (filePath && filePath !== previewed) {
+                if (this.vault.findFile(filePath)) {
+                    this.previewFile(filePath);
+                } else {
+                    this.showError(`File /${filePath} is not in this vault`);
+                }
+            } else if (!filePath && previewed) {
+                this.closePreview();
+            }
+        } finally {
+            this.applyingLocation = false;
+        }
+
+        // Drop anything from the URL that didn't exist
+        this.syncLocation();
     }
 
     /**
@@ -372,42 +260,57 @@ class FileBrowserUI {
     async authenticate() {
         const username = document.getElementById('usernameInput').value.trim();
         const password = document.getElementById('passwordInput').value;
+        const storageOptions = this.getStorageOptions();
 
         if (!username || !password) {
             this.showError('Please enter both username and password');
             return;
         }
 
+        if (storageOptions.backend === 'url' && !storageOptions.base) {
+            this.showError('Please enter a base URL for the custom storage backend');
+            return;
+        }
+
+        if (storageOptions.backend === 'local' && (!this.localFolder || !this.localFolder.hasIndex)) {
+            this.showError(`Choose a local vault folder with a ${LOCAL.INDEX_PATH} file first`);
+            return;
+        }
+
+        const key = PROFILES.keyFor(username, storageOptions);
+        if (this.vaults.has(key)) {
+            document.getElementById('passwordInput').value = '';
+            await this.switchVault(key);
+            this.showInfo(`${username} is already unlocked`);
+            return;
+        }
+
         this.isLoading = true;
         this.updateAuthUI();
+        this.hideAuthError();
 
         try {
-            this.vault = new FileVault(username, password);
-            this.showInfo('Loading vault index...');
-            const index = await this.vault.loadIndex();
-            
-            // Debug: Log the index structure
-            console.log('Vault index loaded successfully:', index);
-            console.log('Index keys:', Object.keys(index));
-            if (index.files) console.log('Files object keys:', Object.keys(index.files).slice(0, 5));
-            if (index.Index) console.log('Index property keys:', Object.keys(index.Index).slice(0, 5));
-            
-            // Store credentials in sessionStorage for persistence during session
-            sessionStorage.setItem('vault_username', username);
-            sessionStorage.setItem('vault_password', password);
+            // Only added to the open vaults once its index has loaded
+            const vault = new FileVault(username, null, storageOptions, { crypto: CRYPTO_POOL.crypto() });
+            this.showInfo(`Loading vault index from ${vault.backend.describe()}...`);
+            // Only non-extractable key material is kept, and the password bytes only for Argon2id
+            await vault.loadIndex(password);
+
+            // Chosen files only last as long as the page, so local folders aren't saved as profiles
+            if (document.getElementById('saveProfileCheckbox').checked && storageOptions.backend !== 'local') {
+                PROFILES.save({ name: document.getElementById('profileNameInput').value.trim(), username, storageOptions });
+            }
+            document.getElementById('passwordInput').value = '';
+            this.vaults.set(key, vault);
             
-            // Update URL with username parameter
-            window.history.replaceState({}, '', `?u=${encodeURIComponent(username)}`);
+            // Update URL with username and storage parameters
+            this.updateURL(username, storageOptions);
             
             this.showSuccess('Vault loaded successfully!');
-            document.getElementById('authSection').classList.add('hidden');
-            document.getElementById('browserSection').classList.remove('hidden');
-            
-            this.updateBreadcrumb();
-            this.renderCurrentDirectory();
+            await this.switchVault(key, { fromLocation: true });
         } catch (error) {
             console.error('Authentication error:', error);
-            this.showError(`Authentication failed: ${error.message}`);
+            this.showAuthError(error);
         } finally {
             this.isLoading = false;
             this.updateAuthUI();
@@ -418,9 +321,29 @@ class FileBrowserUI {
      * Render current directory contents
      */
     renderCurrentDirectory() {
-        const items = this.vault.getCurrentDirectory();
+        const items = this.sortItems(this.vault.getCurrentDirectory());
         const fileList = document.getElementById('fileList');
+        const sharedFilesContainer = document.getElementById('sharedFiles');
         fileList.innerHTML = '';
+        sharedFilesContainer.innerHTML = '';
+        fileList.classList.toggle('grid-view', this.viewSettings.mode === 'grid');
+        this.updateViewToggle();
+        if (this.thumbnails) {
+            this.thumbnails.reset();
+        }
+
+        // Showing a directory ends any search
+        if (this.isSearchActive()) {
+            this.clearSearch();
+        }
+
+        // Selection only applies to the directory it was made in
+        if (this.selectionPath !== this.vault.currentPath) {
+            this.selection.clear();
+            this.selectionPath = this.vault.currentPath;
+        }
+        this.currentItems = items;
+        this.updateSelectionUI();
 
         // If in root, show "Shared Files" section first
         if (!this.vault.currentPath && this.vault.sharedIndex) {
@@ -431,7 +354,11 @@ class FileBrowserUI {
                 
                 const header = document.createElement('div');
                 header.className = 'shared-files-header';
-                header.innerHTML = `<span class="shared-files-toggle">▼</span> 📤 Your Shared Files (${sharedFiles.length})`;
+                header.setAttribute('role', 'button');
+                header.setAttribute('tabindex', '0');
+                header.setAttribute('aria-expanded', 'false');
+                header.setAttribute('aria-controls', 'sharedFilesList');
+                header.innerHTML = `<span class="shared-files-toggle" aria-hidden="true">▼</span> 📤 Your Shared Files (${sharedFiles.length})`;
                 
                 const listContainer = document.createElement('div');
                 listContainer.className = 'shared-files-list';
@@ -439,10 +366,9 @@ class FileBrowserUI {
                 
                 // Add shared files to list
                 for (const shared of sharedFiles) {
-                    const shareLink = this.vault.generateShareLink(shared);
-                    // Build correct URL: from /pages/files/ to /pages/shared/#hash
-                    const basePath = window.location.pathname.replace('/files/', '/shared/');
-                    const shareUrl = `${basePath}#${shareLink}`;
+                    const shareUrl = this.getShareURL(shared);
+                    const reference = shared.reference || shared.Reference;
+                    const note = shared.note || shared.Note;
                     
                     const element = document.createElement('div');
                     element.className = 'file-item';
@@ -450,12 +376,19 @@ class FileBrowserUI {
                         <div class="file-icon">📤</div>
                         <div class="file-info">
                             <div class="file-name">${this.escapeHtml(shared.name || shared.Name)}</div>
-                            <div class="file-path">${this.escapeHtml(shared.original_path || shared.OriginalPath)}</div>
+                            <div class="file-path">${this.escapeHtml(shared.original_path || shared.OriginalPath)} ${this.shareBadge(shared)}</div>
+                            ${note ? `<div class="file-path">📝 ${this.escapeHtml(note)}</div>` : ''}
                         </div>
                         <div class="file-actions">
-                            <button class="btn-secondary btn-small" onclick="fileBrowser.copyShareLink('${this.escapeAttr(shareUrl)}')">
+                            <button class="btn-secondary btn-small" data-action="copyShareLink" data-url="${this.escapeAttr(shareUrl)}">
                                 🔗 Copy Link
                             </button>
+                            ${shared.password_separate ? `<button class="btn-secondary btn-small" data-action="copySharePassword" data-reference="${this.escapeAttr(reference)}">
+                                🔑 Copy Password
+                            </button>` : ''}
+                            <button class="btn-secondary btn-small" data-action="revokeShare" data-reference="${this.escapeAttr(reference)}">
+                                🚫 Revoke
+                            </button>
                         </div>
                     `;
                     listContainer.appendChild(element);
@@ -467,186 +400,2498 @@ class FileBrowserUI {
                 listContainer.appendChild(separator);
                 
                 // Toggle handler
-                header.addEventListener('click', () => {
+                const toggleList = () => {
                     const toggle = header.querySelector('.shared-files-toggle');
-                    listContainer.classList.toggle('visible');
+                    const visible = listContainer.classList.toggle('visible');
                     toggle.classList.toggle('expanded');
+                    header.setAttribute('aria-expanded', String(visible));
+                };
+                header.addEventListener('click', toggleList);
+                header.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        toggleList();
+                    }
                 });
                 
                 sharedSection.appendChild(header);
                 sharedSection.appendChild(listContainer);
-                fileList.appendChild(sharedSection);
+                sharedFilesContainer.appendChild(sharedSection);
             }
         }
 
         // Show files and folders
         if (items.length === 0 && (!this.vault.currentPath || !this.vault.sharedIndex)) {
             fileList.innerHTML += `
-                <div class="empty-state">
-                    <div class="empty-icon">📁</div>
-                    <div class="empty-text">This directory is empty</div>
-                    <div class="text-muted">Navigate to another folder or go back</div>
+                <div class="empty-state" role="row">
+                    <div role="gridcell">
+                        <div class="empty-icon" aria-hidden="true">📁</div>
+                        <div class="empty-text">This directory is empty</div>
+                        <div class="text-muted">Navigate to another folder or go back</div>
+                    </div>
                 </div>
             `;
             return;
         }
 
+        const grid = this.viewSettings.mode === 'grid';
+        if (!grid) {
+            fileList.appendChild(this.createListHeader());
+        }
+
         for (const item of items) {
-            const element = document.createElement('div');
-            element.className = 'file-item';
+            const element = this.createRow(item);
+            const checkbox = `<span class="file-select-cell" role="gridcell"><input type="checkbox" class="file-select" aria-label="Select ${this.escapeHtml(item.name)}"${this.selection.has(item.path) ? ' checked' : ''}></span>`;
+            element.innerHTML = grid ? this.gridItemHTML(item, checkbox) : this.listItemHTML(item, checkbox);
 
             if (item.type === 'directory') {
-                element.innerHTML = `
-                    <div class="file-icon">📁</div>
-                    <div class="file-info">
-                        <div class="file-name">${this.escapeHtml(item.name)}</div>
-                        <div class="file-path">${this.escapeHtml(item.path)}</div>
-                    </div>
-                `;
-                element.addEventListener('click', () => {
-                    this.vault.navigateToDirectory(item.path);
-                    this.updateBreadcrumb();
-                    this.renderCurrentDirectory();
-                });
+                element.addEventListener('click', () => this.openDirectory(item.path));
             } else {
-                const sizeStr = item.size ? CRYPTO.formatBytes(item.size) : 'Unknown';
-                element.innerHTML = `
-                    <div class="file-icon">📄</div>
-                    <div class="file-info">
-                        <div class="file-name">${this.escapeHtml(item.name)}</div>
-                        <div class="file-path">${this.escapeHtml(item.path)} • ${sizeStr}</div>
-                    </div>
-                    <div class="file-actions">
-                        <button class="btn-secondary btn-small btn-download" onclick="fileBrowser.downloadAndShowFile('${this.escapeAttr(item.path)}')">
-                            📥 Download
-                        </button>
-                    </div>
-                `;
+                element.addEventListener('click', () => this.previewFile(item.path));
+                if (grid) {
+                    const img = element.querySelector('.file-thumb img');
+                    const icon = element.querySelector('.file-thumb .file-icon');
+                    this.thumbnails.observe(element, img, item, () => {
+                        img.hidden = false;
+                        icon.hidden = true;
+                    });
+                }
             }
 
+            const select = element.querySelector('.file-select');
+            select.addEventListener('click', (e) => e.stopPropagation());
+            select.addEventListener('change', () => this.toggleSelection(item, select.checked));
+
             fileList.appendChild(element);
         }
+        this.initRows();
     }
 
     /**
-     * Update breadcrumb navigation
+     * List view row: name and path, then size, type and date columns, then actions
      */
-    updateBreadcrumb() {
-        const breadcrumbs = this.vault.getBreadcrumbs();
-        const breadcrumbDiv = document.getElementById('breadcrumb');
-        breadcrumbDiv.innerHTML = '';
+    listItemHTML(item, checkbox) {
+        const columns = `
+            <div class="file-col file-col-size" role="gridcell">${this.sizeLabel(item, '—')}</div>
+            <div class="file-col file-col-type" role="gridcell">${this.escapeHtml(this.fileTypeLabel(item))}</div>
+            <div class="file-col file-col-date" role="gridcell"${item.modified ? ` title="${this.escapeAttr(new Date(item.modified).toLocaleString())}"` : ''}>${item.modified ? new Date(item.modified).toLocaleDateString() : '—'}</div>
+        `;
+
+        if (item.type === 'directory') {
+            return `
+                ${checkbox}
+                <div class="file-icon" aria-hidden="true">📁</div>
+                <div class="file-info" role="gridcell">
+                    <div class="file-name">${this.escapeHtml(item.name)}</div>
+                    <div class="file-path">${this.escapeHtml(item.path)}</div>
+                </div>
+                ${columns}
+                <div class="file-actions" role="gridcell">
+                    <button class="btn-secondary btn-small" data-action="downloadFolder" data-path="${this.escapeAttr(item.path)}">
+                        📦 Download folder
+                    </button>
+                </div>
+            `;
+        }
 
-        for (let i = 0; i < breadcrumbs.length; i++) {
-            const crumb = breadcrumbs[i];
-            const span = document.createElement('span');
-            span.className = 'breadcrumb-item';
-            span.textContent = crumb.name;
-            span.onclick = () => {
-                this.vault.currentPath = crumb.path;
-                this.renderCurrentDirectory();
-                this.updateBreadcrumb();
-            };
-            breadcrumbDiv.appendChild(span);
+        const pinned = this.vault.isPinned(item, this.pinnedURLs);
+        return `
+            ${checkbox}
+            <div class="file-icon" aria-hidden="true">${this.fileIcon(item)}</div>
+            <div class="file-info" role="gridcell">
+                <div class="file-name">${this.escapeHtml(item.name)}</div>
+                <div class="file-path">${this.escapeHtml(item.path)}${pinned ? ' • <span class="offline-badge">available offline</span>' : ''}${this.vault.verified.has(item.path) ? ' • ' + this.verifiedBadge() : ''}</div>
+            </div>
+            ${columns}
+            <div class="file-actions" role="gridcell">
+                ${this.vault.isReadOnly() ? '' : `
+                <button class="btn-secondary btn-small" title="${pinned ? 'Remove offline copy' : 'Keep an encrypted copy for offline use'}" data-action="togglePin" data-path="${this.escapeAttr(item.path)}">
+                    ${pinned ? '📍 Unpin' : '📌 Pin'}
+                </button>
+                <button class="btn-secondary btn-small" title="Create a share link" data-action="shareFile" data-path="${this.escapeAttr(item.path)}">
+                    🔗 Share
+                </button>`}
+                <button class="btn-secondary btn-small" data-action="previewFile" data-path="${this.escapeAttr(item.path)}">
+                    👁️ Preview
+                </button>
+                <button class="btn-secondary btn-small btn-download" data-action="downloadAndShowFile" data-path="${this.escapeAttr(item.path)}">
+                    📥 Download
+                </button>
+            </div>
+        `;
+    }
 
-            if (i < breadcrumbs.length - 1) {
-                const sep = document.createElement('span');
-                sep.className = 'breadcrumb-separator';
-                sep.textContent = ' / ';
-                breadcrumbDiv.appendChild(sep);
-            }
+    /**
+     * Grid view tile: icon (replaced by a thumbnail for images), name, size and compact actions
+     */
+    gridItemHTML(item, checkbox) {
+        if (item.type === 'directory') {
+            return `
+                ${checkbox}
+                <div class="file-thumb" aria-hidden="true"><span class="file-icon">📁</span></div>
+                <div class="file-info" role="gridcell">
+                    <div class="file-name">${this.escapeHtml(item.name)}</div>
+                    <div class="file-path">Folder</div>
+                </div>
+                <div class="file-actions" role="gridcell">
+                    <button class="btn-secondary btn-small" title="Download folder" aria-label="Download folder" data-action="downloadFolder" data-path="${this.escapeAttr(item.path)}">📦</button>
+                </div>
+            `;
         }
+
+        const pinned = this.vault.isPinned(item, this.pinnedURLs);
+        return `
+            ${checkbox}
+            <div class="file-thumb" aria-hidden="true"><span class="file-icon">${this.fileIcon(item)}</span><img alt="" hidden></div>
+            <div class="file-info" role="gridcell">
+                <div class="file-name" title="${this.escapeAttr(item.name)}">${this.escapeHtml(item.name)}</div>
+                <div class="file-path">${this.sizeLabel(item)}${pinned ? ' • <span class="offline-badge">offline</span>' : ''}${this.vault.verified.has(item.path) ? ' • ' + this.verifiedBadge() : ''}</div>
+            </div>
+            <div class="file-actions" role="gridcell">
+                ${this.vault.isReadOnly() ? '' : `
+                <button class="btn-secondary btn-small" title="${pinned ? 'Remove offline copy' : 'Keep an encrypted copy for offline use'}" aria-label="${pinned ? 'Unpin' : 'Pin'}" data-action="togglePin" data-path="${this.escapeAttr(item.path)}">${pinned ? '📍' : '📌'}</button>
+                <button class="btn-secondary btn-small" title="Create a share link" aria-label="Share" data-action="shareFile" data-path="${this.escapeAttr(item.path)}">🔗</button>`}
+                <button class="btn-secondary btn-small btn-download" title="Download" aria-label="Download" data-action="downloadAndShowFile" data-path="${this.escapeAttr(item.path)}">📥</button>
+            </div>
+        `;
     }
 
     /**
-     * Copy share link to clipboard
+     * Header row of the list view with a sort button per column
      */
-    copyShareLink(shareUrl) {
-        navigator.clipboard.writeText(shareUrl).then(() => {
-            this.showSuccess('Share link copied to clipboard!');
-        }).catch(err => {
-            console.error('Failed to copy link:', err);
-            this.showError('Failed to copy link');
+    createListHeader() {
+        const { sort, direction } = this.viewSettings;
+        const header = document.createElement('div');
+        header.className = 'list-header';
+        header.setAttribute('role', 'row');
+
+        const column = (key, label, className) => {
+            const active = sort === key;
+            const ariaSort = active ? (direction === 'desc' ? 'descending' : 'ascending') : 'none';
+            const arrow = active ? (direction === 'desc' ? ' ▼' : ' ▲') : '';
+            return `
+                <div class="${className}" role="columnheader" aria-sort="${ariaSort}">
+                    <button type="button" class="sort-button" data-sort="${key}" onclick="fileBrowser.sortBy('${key}')">${label}${arrow}</button>
+                </div>
+            `;
+        };
+        header.innerHTML = `
+            <span class="file-select-cell" aria-hidden="true"></span>
+            <div class="file-icon" aria-hidden="true"></div>
+            ${column('name', 'Name', 'file-info')}
+            ${column('size', 'Size', 'file-col file-col-size')}
+            ${column('type', 'Type', 'file-col file-col-type')}
+            ${column('date', 'Date', 'file-col file-col-date')}
+            <div class="file-actions" role="columnheader"><span class="sr-only">Actions</span></div>
+        `;
+        return header;
+    }
+
+    /**
+     * Sort folders first, then by the chosen column; entries without a size or date go last
+     */
+    sortItems(items) {
+        const { sort, direction } = this.viewSettings;
+        const sign = direction === 'desc' ? -1 : 1;
+        const value = {
+            name: item => item.name,
+            size: item => item.size,
+            type: item => item.type === 'directory' ? null : CRYPTO.getMimeType(item.name),
+            date: item => item.modified
+        }[sort] || (item => item.name);
+
+        return items.slice().sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+            const valueA = value(a);
+            const valueB = value(b);
+            if (valueA == null || valueB == null) {
+                if (valueA != null) return -1;
+                if (valueB != null) return 1;
+                return a.name.localeCompare(b.name);
+            }
+            const order = typeof valueA === 'number' ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+            return order * sign || a.name.localeCompare(b.name);
         });
     }
 
     /**
-     * Download and display a file
+     * Sort by a column, reversing the direction when it is already the sort column
      */
-    async downloadAndShowFile(filePath) {
-        const items = this.vault.getCurrentDirectory();
-        const fileEntry = items.find(item => item.path === filePath);
+    sortBy(column) {
+        const settings = this.viewSettings;
+        settings.direction = settings.sort === column && settings.direction === 'asc' ? 'desc' : 'asc';
+        settings.sort = column;
+        this.saveViewSettings();
+        this.renderCurrentDirectory();
+        const button = document.querySelector(`#fileList .sort-button[data-sort="${column}"]`);
+        if (button) button.focus();
+        this.announce(`Sorted by ${column}, ${settings.direction === 'asc' ? 'ascending' : 'descending'}`);
+    }
 
-        if (!fileEntry || fileEntry.type !== 'file') {
-            this.showError('File not found');
-            return;
+    setViewMode(mode) {
+        if (this.viewSettings.mode === mode) return;
+        this.viewSettings.mode = mode;
+        this.saveViewSettings();
+        this.renderCurrentDirectory();
+        this.announce(mode === 'grid' ? 'Grid view' : 'List view');
+    }
+
+    updateViewToggle() {
+        for (const mode of ['list', 'grid']) {
+            document.getElementById(`${mode}ViewButton`).setAttribute('aria-pressed', String(this.viewSettings.mode === mode));
         }
+    }
 
+    /**
+     * View mode and sort order (not secret, kept in localStorage)
+     */
+    loadViewSettings() {
+        const defaults = { mode: 'list', sort: 'name', direction: 'asc' };
         try {
-            this.showInfo(`Downloading ${this.escapeHtml(fileEntry.name)}...`);
-            const decryptedBuffer = await this.vault.downloadFile(fileEntry);
-            
-            // Create and trigger download
-            const mimeType = CRYPTO.getMimeType(fileEntry.name);
-            const blob = new Blob([decryptedBuffer], { type: mimeType });
-            const url = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = fileEntry.name;
-            document.body.appendChild(link);
-            link.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(link);
-
-            this.showSuccess(`${this.escapeHtml(fileEntry.name)} downloaded successfully!`);
-        } catch (error) {
-            this.showError(`Download failed: ${error.message}`);
+            return { ...defaults, ...JSON.parse(localStorage.getItem(FileBrowserUI.VIEW_SETTINGS_KEY)) };
+        } catch (e) {
+            return defaults;
         }
     }
 
+    saveViewSettings() {
+        localStorage.setItem(FileBrowserUI.VIEW_SETTINGS_KEY, JSON.stringify(this.viewSettings));
+    }
+
     /**
-     * Logout and return to auth screen
+     * Icon for a file, from its MIME type in CRYPTO.MIME_TYPES
      */
-    logout() {
-        this.vault = null;
-        document.getElementById('passwordInput').value = '';
-        document.getElementById('authSection').classList.remove('hidden');
-        document.getElementById('browserSection').classList.add('hidden');
-        this.clearMessages();
-        
-        // Clear session storage
-        sessionStorage.removeItem('vault_username');
-        sessionStorage.removeItem('vault_password');
+    fileIcon(item) {
+        if (item.type === 'directory') return '📁';
+        const mimeType = CRYPTO.getMimeType(item.name);
+        const [group, subtype] = mimeType.split('/');
+        if (group === 'image') return '🖼️';
+        if (group === 'audio') return '🎵';
+        if (group === 'video') return '🎬';
+        if (subtype === 'pdf') return '📕';
+        if (['zip', 'x-tar', 'gzip'].includes(subtype)) return '🗜️';
+        if (subtype === 'javascript' || subtype === 'json' || subtype === 'xml' || subtype === 'html' || subtype === 'css') return '📜';
+        if (group === 'text') return '📝';
+        return '📄';
     }
 
     /**
-     * Restore session from sessionStorage if available
+     * Short type shown in the list view: "Folder", or the extension in capitals
      */
-    async restoreSession() {
-        const username = sessionStorage.getItem('vault_username');
-        const password = sessionStorage.getItem('vault_password');
-
-        if (!username || !password) {
-            return false;
-        }
+    fileTypeLabel(item) {
+        if (item.type === 'directory') return 'Folder';
+        const parts = item.name.split('.');
+        return parts.length > 1 && parts[parts.length - 1] ? parts.pop().toUpperCase() : 'File';
+    }
+
+    /**
+     * Grid row for a folder or file; rows are focusable and carry their path and type
+     */
+    createRow(item) {
+        const element = document.createElement('div');
+        element.className = 'file-item';
+        element.setAttribute('role', 'row');
+        element.dataset.path = item.path;
+        element.dataset.type = item.type;
+        const detail = item.type === 'directory' ? 'folder' : `file, ${this.sizeLabel(item, 'unknown size')}`;
+        element.setAttribute('aria-label', `${item.name}, ${detail}`);
+        return element;
+    }
+
+    /**
+     * Rows of the file grid, in display order
+     */
+    getRows() {
+        return Array.from(document.querySelectorAll('#fileList .file-item[data-path]'));
+    }
+
+    /**
+     * Set up roving focus after rendering: one row is in the tab order at a time, and only
+     * its controls are reachable with Tab. Focus moves to focusPath (or the first row) when
+     * a navigation asked for it.
+     */
+    initRows() {
+        const rows = this.getRows();
+        const target = this.pendingFocus;
+        this.pendingFocus = undefined;
+
+        let active = rows[0];
+        if (target !== undefined) {
+            active = rows.find(row => row.dataset.path === target) || rows[0];
+        }
+        for (const row of rows) {
+            row.setAttribute('aria-selected', String(this.selection.has(row.dataset.path)));
+        }
+        this.setActiveRow(active, rows);
+        if (active && target !== undefined) {
+            active.focus();
+        }
+    }
+
+    /**
+     * Make a row the grid's tab stop
+     */
+    setActiveRow(active, rows = this.getRows()) {
+        for (const row of rows) {
+            const isActive = row === active;
+            row.tabIndex = isActive ? 0 : -1;
+            for (const control of row.querySelectorAll('button, input')) {
+                control.tabIndex = isActive ? 0 : -1;
+            }
+        }
+    }
+
+    focusRow(row) {
+        if (!row) return;
+        this.setActiveRow(row);
+        row.focus();
+        if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Keyboard model for the file grid: arrows, Home and End move between rows, Enter opens a
+     * folder or downloads a file, Space selects, Right opens a folder, Backspace or Left goes
+     * up (in the grid view Left and Right move between tiles), and typing jumps to the next
+     * name starting with the typed letters
+     */
+    handleListKeydown(event) {
+        const row = event.target;
+        if (!row.matches('.file-item[data-path]') || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const rows = this.getRows();
+        const position = rows.indexOf(row);
+        // In the grid view Up and Down move by a whole line of tiles, Left and Right by one
+        const grid = this.viewSettings.mode === 'grid' && !this.isSearchActive();
+        const step = grid ? this.gridColumns(rows) : 1;
+
+        if (grid && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+            const next = event.key === 'ArrowRight' ? position + 1 : position - 1;
+            this.focusRow(rows[Math.max(0, Math.min(next, rows.length - 1))]);
+            event.preventDefault();
+            return;
+        }
+
+        switch (event.key) {
+            case 'ArrowDown':
+                this.focusRow(rows[Math.min(position + step, rows.length - 1)]);
+                break;
+            case 'ArrowUp':
+                this.focusRow(rows[Math.max(position - step, 0)]);
+                break;
+            case 'Home':
+                this.focusRow(rows[0]);
+                break;
+            case 'End':
+                this.focusRow(rows[rows.length - 1]);
+                break;
+            case 'Enter':
+                this.activateRow(row);
+                break;
+            case 'ArrowRight':
+                if (row.dataset.type !== 'directory') return;
+                this.activateRow(row);
+                break;
+            case ' ': {
+                const select = row.querySelector('.file-select');
+                if (!select) return;
+                select.checked = !select.checked;
+                select.dispatchEvent(new Event('change'));
+                break;
+            }
+            case 'Backspace':
+            case 'ArrowLeft':
+                if (this.isSearchActive() || !this.vault.currentPath) return;
+                this.navigateUp();
+                break;
+            default:
+                if (event.key.length !== 1) return;
+                this.typeAheadTo(event.key, rows, position);
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Tiles per line in the grid view, from their rendered positions
+     */
+    gridColumns(rows) {
+        if (rows.length === 0) return 1;
+        const top = rows[0].offsetTop;
+        const columns = rows.findIndex(row => row.offsetTop !== top);
+        return columns > 0 ? columns : rows.length;
+    }
+
+    /**
+     * Enter on a row: open a folder, download a file
+     */
+    activateRow(row) {
+        if (row.dataset.type === 'directory') {
+            row.click();
+        } else {
+            this.downloadAndShowFile(row.dataset.path);
+        }
+    }
+
+    /**
+     * Move to the next row whose name starts with the letters typed in quick succession
+     */
+    typeAheadTo(key, rows, position) {
+        clearTimeout(this.typeAhead.timeout);
+        this.typeAhead.text += key.toLowerCase();
+        this.typeAhead.timeout = setTimeout(() => { this.typeAhead.text = ''; }, 700);
+
+        // Repeating one letter cycles through names starting with it
+        const text = this.typeAhead.text;
+        const cycling = text.length > 1 && text.split('').every(ch => ch === text[0]);
+        const prefix = cycling ? text[0] : text;
+        const start = cycling || text.length === 1 ? position + 1 : position;
+
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[(start + i) % rows.length];
+            const name = row.querySelector('.file-name').textContent.trim().toLowerCase();
+            if (name.startsWith(prefix)) {
+                this.focusRow(row);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show a directory, moving focus to focusPath (or its first row) and announcing it
+     */
+    openDirectory(dirPath, focusPath = null) {
+        if (this.isSearchActive()) {
+            this.clearSearch();
+        }
+        this.vault.navigateToDirectory(dirPath);
+        this.pendingFocus = focusPath;
+        this.updateBreadcrumb();
+        this.renderCurrentDirectory();
+        this.syncLocation(true);
+
+        // An empty folder has no rows to focus; keep focus on the page by moving it to the path
+        this.pendingFocus = undefined;
+        if (this.getRows().length === 0) {
+            const current = document.querySelector('#breadcrumb [aria-current]');
+            if (current) current.focus();
+        }
+
+        const count = this.currentItems.length;
+        this.announce(`${dirPath ? dirPath.split('/').pop() : 'Vault root'}, ${count} item${count === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * The child of dirPath on the way down to fromPath ('docs' for '' and 'docs/sub'), or null
+     */
+    trailChild(dirPath, fromPath) {
+        const trail = fromPath.split('/').filter(p => p);
+        const depth = dirPath ? dirPath.split('/').length : 0;
+        const below = !dirPath || fromPath.startsWith(dirPath + '/');
+        return below && trail.length > depth ? trail.slice(0, depth + 1).join('/') : null;
+    }
+
+    /**
+     * Go to the parent directory and put focus back on the folder just left
+     */
+    navigateUp() {
+        const from = this.vault.currentPath;
+        this.vault.goUp();
+        this.openDirectory(this.vault.currentPath, from);
+    }
+
+    /**
+     * Add or remove an item from the multi-selection
+     */
+    toggleSelection(item, selected) {
+        if (selected) {
+            this.selection.set(item.path, item);
+        } else {
+            this.selection.delete(item.path);
+        }
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Select or clear every item in the current directory
+     */
+    selectAll(selected) {
+        this.selection.clear();
+        if (selected) {
+            for (const item of this.currentItems) {
+                this.selection.set(item.path, item);
+            }
+        }
+        for (const checkbox of document.querySelectorAll('#fileList .file-select')) {
+            checkbox.checked = selected;
+        }
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Sync the select-all checkbox and bulk download button with the selection
+     */
+    updateSelectionUI() {
+        const count = this.selection.size;
+        const total = this.currentItems.length;
+        const selectAll = document.getElementById('selectAllCheckbox');
+        selectAll.checked = total > 0 && count === total;
+        selectAll.indeterminate = count > 0 && count < total;
+        selectAll.disabled = total === 0;
+
+        for (const row of this.getRows()) {
+            row.setAttribute('aria-selected', String(this.selection.has(row.dataset.path)));
+        }
+
+        const button = document.getElementById('downloadSelectedBtn');
+        button.disabled = count === 0;
+        button.textContent = count > 0 ? `📦 Download selected (${count})` : '📦 Download selected';
+    }
+
+    /**
+     * Download the selected files and folders as a ZIP archive
+     */
+    downloadSelected() {
+        const items = Array.from(this.selection.values());
+        if (items.length === 0) {
+            this.showError('Select at least one file or folder');
+            return;
+        }
+        const folderName = this.vault.currentPath.split('/').pop() || this.vault.username;
+        return this.downloadAsZip(items, `${folderName}-selection.zip`, this.vault.currentPath);
+    }
+
+    /**
+     * Download a folder (the current one by default) as a ZIP archive
+     */
+    downloadFolder(folderPath = this.vault.currentPath) {
+        const parts = folderPath.split('/').filter(p => p);
+        const folderName = parts.pop() || `${this.vault.username}-vault`;
+        return this.downloadAsZip([{ type: 'directory', name: folderName, path: folderPath }], `${folderName}.zip`, parts.join('/'));
+    }
+
+    /**
+     * Decrypt files and folders into a ZIP archive, keeping paths relative to basePath
+     */
+    async downloadAsZip(items, archiveName, basePath) {
+        const files = [];
+        const folders = [];
+        for (const item of items) {
+            if (item.type === 'directory') {
+                const contents = this.vault.getFilesUnder(item.path);
+                files.push(...contents.files);
+                folders.push(...contents.folders);
+            } else {
+                files.push(item);
+            }
+        }
+
+        if (files.length === 0) {
+            this.showError('There are no files to download');
+            return;
+        }
+
+        const transfer = this.startTransfer(`Zipping ${archiveName}`);
+        const signal = transfer.controller.signal;
+        const relativePath = (path) => basePath ? path.slice(basePath.length + 1) : path;
+        let output = null;
+
+        try {
+            // Pick the destination first: the save dialog needs the click's user gesture
+            const target = await DOWNLOADS.openTarget(archiveName, 'application/zip');
+            if (!target) {
+                this.showInfo('Download cancelled');
+                return;
+            }
+
+            const zip = new ZipWriter();
+            const zipStream = new ReadableStream({ start(controller) { output = controller; } });
+            const enqueue = (parts) => parts.forEach(part => output.enqueue(part));
+
+            // Nothing is written until a file has decrypted, so if every file fails no
+            // partial archive is left behind
+            let writeError = null;
+            let writing = null;
+            const startWriting = () => {
+                writing = writing || target.write(zipStream, signal).catch((error) => {
+                    writeError = error;
+                    transfer.controller.abort();
+                });
+            };
+
+            // Keep empty folders so the archive mirrors the vault structure
+            for (const folder of folders) {
+                const relative = relativePath(folder);
+                if (relative && !files.some(f => f.path.startsWith(folder + '/'))) {
+                    enqueue(zip.addDirectory(relative));
+                }
+            }
+
+            const failures = [];
+            let done = 0;
+            this.showInfo(`Decrypting ${files.length} files...`);
+            await this.vault.downloadFiles(files, {
+                concurrency: this.BULK_CONCURRENCY,
+                signal: signal,
+                // Behind anything the user opens meanwhile
+                priority: 'low',
+                onFile: (fileEntry, decryptedBuffer, error) => {
+                    done++;
+                    if (error) {
+                        failures.push({ path: fileEntry.path, message: error.message });
+                    } else {
+                        enqueue(zip.addFile(relativePath(fileEntry.path), decryptedBuffer));
+                        startWriting();
+                    }
+                    this.setTransferStatus(transfer, `Zipping ${archiveName} - ${done} of ${files.length} files`, (done / files.length) * 100);
+                }
+            });
+
+            if (signal.aborted) {
+                const error = writeError || new DOMException('Download cancelled', 'AbortError');
+                output.error(error);
+                await writing;
+                throw error;
+            }
+            if (writing) {
+                enqueue(zip.finish());
+                output.close();
+                await writing;
+                if (writeError) throw writeError;
+            }
+
+            this.showBulkSummary(archiveName, files.length - failures.length, failures);
+        } catch (error) {
+            // Stop the rest of the run and drop the unfinished archive
+            transfer.controller.abort();
+            if (output) output.error(error);
+            if (error.name === 'AbortError') {
+                this.showInfo('Download cancelled');
+            } else {
+                this.showError(`Download failed: ${this.describeError(error)}`);
+            }
+        } finally {
+            this.endTransfer(transfer);
+        }
+    }
+
+    /**
+     * Report how a bulk download went, listing the files that failed
+     */
+    showBulkSummary(archiveName, succeeded, failures) {
+        const summary = document.getElementById('bulkSummary');
+
+        if (failures.length === 0) {
+            summary.classList.add('hidden');
+            this.showSuccess(`${archiveName} downloaded with ${succeeded} files`);
+            return;
+        }
+
+        const rows = failures.map(f => `<li><span class="file-path">${this.escapeHtml(f.path)}</span> - ${this.escapeHtml(f.message)}</li>`).join('');
+        const heading = succeeded > 0
+            ? `${archiveName}: ${succeeded} files downloaded, ${failures.length} failed`
+            : `${archiveName}: all ${failures.length} files failed, no archive was saved`;
+        summary.innerHTML = `
+            <div class="bulk-summary-header">
+                <strong>⚠️ ${this.escapeHtml(heading)}</strong>
+                <button class="btn-secondary btn-small" onclick="document.getElementById('bulkSummary').classList.add('hidden')">✖ Close</button>
+            </div>
+            <ul>${rows}</ul>
+        `;
+        summary.classList.remove('hidden');
+        this.showError(heading);
+    }
+
+    /**
+     * Read the search box and filters
+     */
+    getSearchOptions() {
+        return {
+            query: document.getElementById('searchInput').value,
+            type: document.getElementById('searchType').value,
+            minSize: SEARCH.parseSize(document.getElementById('searchMinSize').value),
+            maxSize: SEARCH.parseSize(document.getElementById('searchMaxSize').value)
+        };
+    }
+
+    /**
+     * Whether a search query or filter is active
+     */
+    isSearchActive() {
+        const options = this.getSearchOptions();
+        return Boolean(options.query.trim() || options.type || options.minSize != null || options.maxSize != null);
+    }
+
+    /**
+     * Search the whole vault and show the results, or the current directory if the search is empty
+     */
+    runSearch() {
+        if (!this.vault) return;
+
+        if (!this.isSearchActive()) {
+            document.querySelector('.bulk-toolbar').classList.remove('hidden');
+            this.renderCurrentDirectory();
+            return;
+        }
+
+        // The index is flattened once per unlocked vault
+        if (!this.searchIndex || this.searchIndex.vault !== this.vault) {
+            this.searchIndex = { vault: this.vault, entries: SEARCH.buildIndex(this.vault) };
+        }
+
+        const { results, total } = SEARCH.search(this.searchIndex.entries, this.getSearchOptions());
+        document.querySelector('.bulk-toolbar').classList.add('hidden');
+        this.renderSearchResults(results, total);
+    }
+
+    /**
+     * Render search results with their full paths; total counts every match, shown or not
+     */
+    renderSearchResults(results, total = results.length) {
+        const fileList = document.getElementById('fileList');
+        fileList.innerHTML = '';
+        fileList.classList.remove('grid-view');
+        document.getElementById('sharedFiles').innerHTML = '';
+        if (this.thumbnails) {
+            this.thumbnails.reset();
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'search-summary';
+        summary.setAttribute('role', 'row');
+        const summaryText = total > results.length
+            ? `Showing the best ${results.length} of ${total} matches`
+            : `${results.length} ${results.length === 1 ? 'match' : 'matches'} in the vault`;
+        summary.innerHTML = `<span role="gridcell">${summaryText}</span>`;
+        fileList.appendChild(summary);
+        this.announce(summaryText);
+
+        if (results.length === 0) {
+            fileList.innerHTML += `
+                <div class="empty-state" role="row">
+                    <div role="gridcell">
+                        <div class="empty-icon" aria-hidden="true">🔍</div>
+                        <div class="empty-text">No files match your search</div>
+                        <div class="text-muted">Try fewer characters or clear the filters</div>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        for (const { entry, nameIndices } of results) {
+            const element = this.createRow(entry);
+            const name = this.highlightMatches(entry.name, nameIndices);
+
+            if (entry.type === 'directory') {
+                element.innerHTML = `
+                    <div class="file-icon" aria-hidden="true">📁</div>
+                    <div class="file-info" role="gridcell">
+                        <div class="file-name">${name}</div>
+                        <div class="file-path">${this.escapeHtml(entry.path)}</div>
+                    </div>
+                `;
+                element.addEventListener('click', () => this.openSearchResultFolder(entry.path));
+            } else {
+                const sizeStr = this.sizeLabel(entry);
+                const folder = entry.path.split('/').slice(0, -1).join('/');
+                element.innerHTML = `
+                    <div class="file-icon" aria-hidden="true">${this.fileIcon(entry)}</div>
+                    <div class="file-info" role="gridcell">
+                        <div class="file-name">${name}</div>
+                        <div class="file-path">${this.escapeHtml(entry.path)} • ${sizeStr}</div>
+                    </div>
+                    <div class="file-actions" role="gridcell">
+                        <button class="btn-secondary btn-small" data-action="openSearchResultFolder" data-path="${this.escapeAttr(folder)}">
+                            📂 Open folder
+                        </button>
+                        <button class="btn-secondary btn-small" data-action="previewFile" data-path="${this.escapeAttr(entry.path)}">
+                            👁️ Preview
+                        </button>
+                        <button class="btn-secondary btn-small btn-download" data-action="downloadAndShowFile" data-path="${this.escapeAttr(entry.path)}">
+                            📥 Download
+                        </button>
+                    </div>
+                `;
+                element.addEventListener('click', () => this.previewFile(entry.path));
+            }
+
+            fileList.appendChild(element);
+        }
+        this.initRows();
+    }
+
+    /**
+     * Leave the search and show the folder a result lives in
+     */
+    openSearchResultFolder(folderPath) {
+        this.clearSearch();
+        this.openDirectory(folderPath);
+    }
+
+    /**
+     * Reset the search box and filters
+     */
+    clearSearch() {
+        document.getElementById('searchInput').value = '';
+        document.getElementById('searchType').value = '';
+        document.getElementById('searchMinSize').value = '';
+        document.getElementById('searchMaxSize').value = '';
+        document.querySelector('.bulk-toolbar').classList.remove('hidden');
+    }
+
+    /**
+     * Escape a name and wrap matched characters in <mark>
+     */
+    highlightMatches(text, indices) {
+        if (!indices || indices.length === 0) return this.escapeHtml(text);
+        const marked = new Set(indices);
+        let html = '';
+        for (let i = 0; i < text.length; i++) {
+            const ch = this.escapeHtml(text[i]);
+            html += marked.has(i) ? `<mark>${ch}</mark>` : ch;
+        }
+        return html;
+    }
+
+    /**
+     * Update breadcrumb navigation
+     */
+    updateBreadcrumb() {
+        const breadcrumbs = this.vault.getBreadcrumbs();
+        const breadcrumbDiv = document.getElementById('breadcrumb');
+        breadcrumbDiv.innerHTML = '';
+
+        for (let i = 0; i < breadcrumbs.length; i++) {
+            const crumb = breadcrumbs[i];
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'breadcrumb-item';
+            button.textContent = crumb.name;
+            if (i === breadcrumbs.length - 1) {
+                button.setAttribute('aria-current', 'location');
+            }
+            // Going back up, focus lands on the folder that leads to the one that was open
+            const focusPath = this.trailChild(crumb.path, this.vault.currentPath);
+            button.onclick = () => this.openDirectory(crumb.path, focusPath);
+            breadcrumbDiv.appendChild(button);
+
+            if (i < breadcrumbs.length - 1) {
+                const sep = document.createElement('span');
+                sep.setAttribute('aria-hidden', 'true');
+                sep.className = 'breadcrumb-separator';
+                sep.textContent = ' / ';
+                breadcrumbDiv.appendChild(sep);
+            }
+        }
+    }
+
+    /**
+     * Badge with the time left, the opening time or "expired" for a share
+     */
+    shareBadge(shared) {
+        const { status, notBefore, expiresAt } = SHARES.getWindow(shared);
+        if (status === 'expired') {
+            return '<span class="share-badge share-badge-expired">⌛ Expired</span>';
+        }
+        if (status === 'pending') {
+            return `<span class="share-badge share-badge-pending" title="${this.escapeAttr(notBefore.toLocaleString())}">🕒 Opens in ${SHARES.formatDuration(notBefore - Date.now())}</span>`;
+        }
+        if (expiresAt) {
+            return `<span class="share-badge" title="${this.escapeAttr(expiresAt.toLocaleString())}">⏳ ${SHARES.formatDuration(expiresAt - Date.now())} left</span>`;
+        }
+        return '';
+    }
+
+    /**
+     * Full share page URL for a shared index entry
+     */
+    getShareURL(shared) {
+        const shareLink = this.vault.generateShareLink(shared);
+        // Build correct URL: from /pages/files/ to /pages/shared/#hash
+        const basePath = window.location.pathname.replace('/files/', '/shared/');
+        // A local copy's shares still point at the published vault
+        const storageOptions = this.vault.isLocal() ? {} : this.vault.storageOptions;
+        const storageQuery = STORAGE.optionsToParams(storageOptions, new URLSearchParams()).toString();
+        return `${basePath}${storageQuery ? '?' + storageQuery : ''}#${shareLink}`;
+    }
+
+    /**
+     * Copy a share's password, for links that don't contain it
+     */
+    copySharePassword(reference) {
+        const entry = this.vault.getSharedFiles().find(shared => (shared.reference || shared.Reference) === reference);
+        if (!entry) return;
+        navigator.clipboard.writeText(entry.password || entry.Password).then(() => {
+            this.showSuccess('Share password copied. Send it separately from the link.');
+        }).catch(err => {
+            console.error('Failed to copy password:', err);
+            this.showError('Failed to copy password');
+        });
+    }
+
+    /**
+     * Copy share link to clipboard
+     */
+    copyShareLink(shareUrl, message = 'Share link copied to clipboard!') {
+        navigator.clipboard.writeText(shareUrl).then(() => {
+            this.showSuccess(message);
+        }).catch(err => {
+            console.error('Failed to copy link:', err);
+            this.showError('Failed to copy link');
+        });
+    }
+
+    /**
+     * Download and display a file
+     */
+    async downloadAndShowFile(filePath) {
+        const fileEntry = this.vault.findFile(filePath);
+
+        if (!fileEntry) {
+            this.showError('File not found');
+            return;
+        }
+
+        const transfer = this.startTransfer(`Downloading ${fileEntry.name}`);
+
+        try {
+            // Pick the destination first: the save dialog needs the click's user gesture
+            const target = await DOWNLOADS.openTarget(fileEntry.name, CRYPTO.getMimeType(fileEntry.name));
+            if (!target) {
+                this.showInfo('Download cancelled');
+                return;
+            }
+
+            this.showInfo(`Downloading ${this.escapeHtml(fileEntry.name)}...`);
+            const stream = await this.vault.downloadFileStream(fileEntry, {
+                signal: transfer.controller.signal,
+                priority: 'high',
+                onProgress: (loaded, total) => this.updateTransfer(transfer, loaded, total)
+            });
+            await target.write(stream, transfer.controller.signal);
+            this.showVerified(fileEntry);
+            this.showSuccess(`${this.escapeHtml(fileEntry.name)} downloaded successfully!${this.vault.verified.has(fileEntry.path) ? ' Its content matches the hash in the index.' : ''}`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showInfo('Download cancelled');
+            } else {
+                this.showError(`Download failed: ${this.describeError(error)}`);
+            }
+        } finally {
+            this.endTransfer(transfer);
+        }
+    }
+
+    /**
+     * Size of a file for display; a compressed one also shows what it takes up in the vault,
+     * from the index or once it has been downloaded
+     */
+    sizeLabel(item, unknown = 'Unknown') {
+        if (item.size == null) return unknown;
+        const found = this.vault.compressed.get(item.path);
+        const storedSize = item.storedSize ?? (found ? found.storedSize : null);
+        const size = CRYPTO.formatBytes(item.size);
+        return storedSize != null && storedSize !== item.size ? `${size} (${CRYPTO.formatBytes(storedSize)} stored)` : size;
+    }
+
+    /**
+     * Badge for files whose decrypted content matched the index's hash
+     */
+    verifiedBadge() {
+        return '<span class="verified-badge" title="The decrypted content matches the SHA-256 hash recorded in the index">✔ verified</span>';
+    }
+
+    /**
+     * Add the verified badge to a file's row once it has been checked
+     */
+    showVerified(fileEntry) {
+        if (!this.vault || !this.vault.verified.has(fileEntry.path)) return;
+        for (const row of document.querySelectorAll('#fileList .file-item[data-path]')) {
+            const path = row.querySelector('.file-path');
+            if (row.dataset.path === fileEntry.path && path && !path.querySelector('.verified-badge')) {
+                path.insertAdjacentHTML('beforeend', ' • ' + this.verifiedBadge());
+            }
+        }
+    }
+
+    /**
+     * Show the transfer bar for a new download and return its handle
+     */
+    startTransfer(label) {
+        const transfer = { label: label, controller: new AbortController() };
+        this.transfer = transfer;
+        document.getElementById('transferLabel').textContent = label;
+        document.getElementById('transferProgress').style.width = '0%';
+        document.getElementById('transferPanel').classList.remove('hidden');
+        return transfer;
+    }
+
+    /**
+     * Update the transfer bar with bytes received
+     */
+    updateTransfer(transfer, loaded, total) {
+        const percent = total ? Math.min(100, (loaded / total) * 100) : 0;
+        const totalStr = total ? ` of ${CRYPTO.formatBytes(total)}` : '';
+        this.setTransferStatus(transfer, `${transfer.label} - ${CRYPTO.formatBytes(loaded)}${totalStr}`, percent);
+    }
+
+    /**
+     * Set the transfer bar text and percentage
+     */
+    setTransferStatus(transfer, text, percent) {
+        if (this.transfer !== transfer) return;
+        document.getElementById('transferLabel').textContent = text;
+        document.getElementById('transferProgress').style.width = percent + '%';
+    }
+
+    /**
+     * Hide the transfer bar once a download has finished
+     */
+    endTransfer(transfer) {
+        if (this.transfer !== transfer) return;
+        this.transfer = null;
+        document.getElementById('transferPanel').classList.add('hidden');
+
+        // An auto-lock was held back while the download ran
+        if (this.pendingLock) {
+            this.lockAll(this.pendingLock);
+        }
+    }
+
+    /**
+     * Cancel the download shown in the transfer bar
+     */
+    cancelTransfer() {
+        if (this.transfer) {
+            this.transfer.controller.abort();
+        }
+    }
+
+    /**
+     * Decrypt a file and show it in the preview panel (kept in memory only)
+     */
+    async previewFile(filePath) {
+        const fileEntry = this.vault.findFile(filePath);
+
+        if (!fileEntry) {
+            this.showError('File not found');
+            return;
+        }
+
+        const panel = document.getElementById('previewPanel');
+        const content = document.getElementById('previewContent');
+        document.getElementById('previewTitle').textContent = fileEntry.name;
+        VIEWER.clear(content);
+        content.innerHTML = '<div class="preview-note"><span class="spinner"></span> Decrypting...</div>';
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        if (this.preview && this.preview.transfer) {
+            this.preview.transfer.controller.abort();
+        }
+        const transfer = this.startTransfer(`Decrypting ${fileEntry.name}`);
+        this.preview = { entry: fileEntry, buffer: null, transfer: transfer };
+        const preview = this.preview;
+        this.syncLocation();
+
+        try {
+            this.showInfo(`Decrypting ${fileEntry.name}...`);
+            const decryptedBuffer = await this.vault.downloadFile(fileEntry, {
+                signal: transfer.controller.signal,
+                priority: 'high',
+                onProgress: (loaded, total) => this.updateTransfer(transfer, loaded, total)
+            });
+
+            // Another file was opened (or the panel closed) while this one was decrypting
+            if (this.preview !== preview) return;
+
+            preview.buffer = decryptedBuffer;
+            VIEWER.render(content, decryptedBuffer, fileEntry.name);
+            this.showVerified(fileEntry);
+            if (this.vault.verified.has(fileEntry.path)) {
+                document.getElementById('previewTitle').insertAdjacentHTML('beforeend', ' ' + this.verifiedBadge());
+            }
+            this.clearMessages();
+        } catch (error) {
+            if (this.preview !== preview) return;
+            if (error.name === 'AbortError') {
+                this.closePreview();
+                this.showInfo('Preview cancelled');
+                return;
+            }
+            content.innerHTML = `<div class="preview-note">❌ ${this.escapeHtml(this.describeError(error))}</div>`;
+            this.showError(`Preview failed: ${this.describeError(error)}`);
+        } finally {
+            preview.transfer = null;
+            this.endTransfer(transfer);
+        }
+    }
+
+    /**
+     * Save the file currently shown in the preview panel
+     */
+    savePreviewedFile() {
+        if (!this.preview || !this.preview.buffer) {
+            this.showError('The file is still decrypting');
+            return;
+        }
+        DOWNLOADS.saveBuffer(this.preview.entry.name, this.preview.buffer);
+        this.showSuccess(`${this.preview.entry.name} downloaded successfully!`);
+    }
+
+    /**
+     * Close the preview panel and drop the decrypted data
+     */
+    closePreview() {
+        if (this.preview && this.preview.transfer) {
+            this.preview.transfer.controller.abort();
+        }
+        const wasOpen = Boolean(this.preview);
+        this.preview = null;
+        VIEWER.clear(document.getElementById('previewContent'));
+        document.getElementById('previewPanel').classList.add('hidden');
+        if (wasOpen) this.syncLocation();
+    }
+
+    /**
+     * Show the file browser for the unlocked vault and start the idle timer
+     */
+    async showBrowser() {
+        await this.refreshPinned();
+        document.getElementById('authSection').classList.add('hidden');
+        document.getElementById('browserSection').classList.remove('hidden');
+        this.renderVaultSwitcher();
+        if (this.thumbnails) {
+            this.thumbnails.clear();
+        }
+        this.thumbnails = new ThumbnailLoader(this.vault);
+        // Opens the folder (and file) from the URL, e.g. ?u=alice&p=projects/2026
+        this.applyLocation({ initial: true });
+        this.resetIdleTimer();
+
+        this.updateIndexWarning();
+
+        if (this.vault.offlineSince) {
+            this.showInfo(`You're offline: showing the vault as saved on ${new Date(this.vault.offlineSince).toLocaleString()}. Only pinned files can be opened.`);
+        }
+    }
+
+    /**
+     * Show a warning with a link to the report when the index has problems
+     */
+    updateIndexWarning() {
+        const warning = document.getElementById('indexWarning');
+        const count = this.vault.index.issues.length;
+        const signature = this.vault.indexSignature;
+        const link = '<a href="#" onclick="event.preventDefault(); fileBrowser.toggleIndexReport()">View report</a>';
+
+        // A tampered or rolled back index matters more than entries it can't list
+        if (signature && signature.problem) {
+            warning.classList.remove('hidden');
+            warning.innerHTML = `🛑 ${this.escapeHtml(signature.message)} ${link}`;
+            return;
+        }
+        warning.classList.toggle('hidden', count === 0);
+        if (count > 0) {
+            warning.innerHTML = `⚠️ The vault index has ${count} problem${count === 1 ? '' : 's'}; some entries may be missing from the list. ${link}`;
+        }
+    }
+
+    /**
+     * Show or hide the index diagnostics report
+     */
+    toggleIndexReport() {
+        const panel = document.getElementById('indexReportPanel');
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+        this.renderIndexReport();
+        panel.classList.remove('hidden');
+    }
+
+    renderIndexReport() {
+        const report = this.vault.index.getDiagnostics();
+        const labels = { 'missing-key': 'Missing keys', duplicate: 'Duplicates', unreachable: 'Unreachable' };
+
+        let html = `
+            <div class="report-summary">
+                <div>Model schema: v${report.schemaVersion}</div>
+                <div>Index version: ${report.sourceVersion != null ? this.escapeHtml(String(report.sourceVersion)) : 'not declared'}</div>
+                <div>Layout: ${report.variants.length > 0 ? this.escapeHtml(report.variants.join(', ')) : 'top-level only'}</div>
+                <div>${report.fileCount} files in ${report.folderCount} folders</div>
+            </div>
+        `;
+        html += this.renderSignatureReport();
+
+        if (report.issues.length === 0) {
+            html += '<div class="text-muted">✅ No problems found.</div>';
+        }
+        for (const [type, label] of Object.entries(labels)) {
+            const issues = report.issues.filter(issue => issue.type === type);
+            if (issues.length === 0) continue;
+            html += `<div class="report-group">${label} (${issues.length})</div>`;
+            html += issues.map(issue => `
+                <div class="offline-item">
+                    <div class="file-info">
+                        <div class="file-name">${this.escapeHtml(issue.path)}</div>
+                        <div class="file-path">${this.escapeHtml(issue.message)}</div>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        document.getElementById('indexReportContent').innerHTML = html;
+    }
+
+    /**
+     * Signature state of the index, with the actions that apply to it
+     */
+    renderSignatureReport() {
+        const signature = this.vault.indexSignature || { status: 'unsigned', message: 'The index is not signed' };
+        let actions = '';
+        if (signature.status === 'unsigned') {
+            actions = '<button class="btn-secondary btn-small" onclick="fileBrowser.enableIndexSigning()">✍️ Sign index</button>';
+        } else if (signature.problem) {
+            actions = '<button class="btn-secondary btn-small" onclick="fileBrowser.trustCurrentIndex()">Trust current index</button>';
+            if (signature.status === 'invalid' || signature.status === 'missing') {
+                actions += ' <button class="btn-secondary btn-small" onclick="fileBrowser.resignIndex()">✍️ Re-sign</button>';
+            }
+        }
+
+        return `
+            <div class="report-group">Signature</div>
+            <div class="offline-item">
+                <div class="file-info">
+                    <div class="file-name">${signature.problem ? '🛑' : signature.status === 'verified' ? '✅' : 'ℹ️'} ${this.escapeHtml(signature.message)}</div>
+                    ${signature.signedAt ? `<div class="file-path">Signed ${this.escapeHtml(new Date(signature.signedAt).toLocaleString())}</div>` : ''}
+                </div>
+                ${actions ? `<div class="file-actions">${actions}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Start signing the index so rollbacks and tampering can be detected (needs a GitHub token)
+     */
+    async enableIndexSigning() {
+        const api = this.requireGitHubAPI();
+        if (!api) return;
+        try {
+            this.showInfo('Creating a signing key and signing the index...');
+            await this.vault.enableIndexSigning(api);
+            this.showSuccess('The vault index is now signed. Uploads from this page keep it signed.');
+        } catch (error) {
+            this.showError(`Could not sign the index: ${this.describeError(error)}`);
+        }
+        this.updateIndexWarning();
+        this.renderIndexReport();
+    }
+
+    /**
+     * Sign the index as it is now, e.g. after it was changed by a tool that doesn't sign it
+     */
+    async resignIndex() {
+        if (!window.confirm('Sign the index as it is now? Only do this if you know why the signature stopped matching.')) return;
+        const api = this.requireGitHubAPI();
+        if (!api) return;
+        try {
+            await this.vault.signIndex(api);
+            this.showSuccess('Index re-signed');
+        } catch (error) {
+            this.showError(`Could not sign the index: ${this.describeError(error)}`);
+        }
+        this.updateIndexWarning();
+        this.renderIndexReport();
+    }
+
+    /**
+     * Stop warning about the current index signature state in this browser
+     */
+    trustCurrentIndex() {
+        if (!window.confirm('Trust the index as it is now? Future checks will compare against it.')) return;
+        this.vault.trustCurrentIndex();
+        const signature = this.vault.indexSignature;
+        signature.problem = false;
+        signature.message = signature.record ? `Trusted as of version ${signature.sequence}` : 'The index is not signed';
+        if (!signature.record) signature.status = 'unsigned';
+        this.updateIndexWarning();
+        this.renderIndexReport();
+    }
+
+    /**
+     * Copy the diagnostics report as plain text
+     */
+    copyIndexReport() {
+        const report = this.vault.index.getDiagnostics();
+        const lines = [
+            `Zephyrus index report (model v${report.schemaVersion}, index version ${report.sourceVersion ?? 'not declared'})`,
+            `${report.fileCount} files, ${report.folderCount} folders, ${report.issues.length} problems`,
+            `Signature: ${this.vault.indexSignature ? this.vault.indexSignature.message : 'not checked'}`,
+            ...report.issues.map(issue => `[${issue.type}] ${issue.path}: ${issue.message}`)
+        ];
+        navigator.clipboard.writeText(lines.join('\n')).then(() => {
+            this.showSuccess('Report copied to clipboard');
+        }).catch(err => {
+            console.error('Failed to copy report:', err);
+            this.showError('Failed to copy report');
+        });
+    }
+
+    /**
+     * Show or hide the statistics dashboard
+     */
+    toggleStatsPanel() {
+        const panel = document.getElementById('statsPanel');
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+        this.renderStatsPanel();
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Re-render the dashboard if it is open, after the index or shares change
+     */
+    refreshStatsPanel() {
+        if (this.vault && !document.getElementById('statsPanel').classList.contains('hidden')) {
+            this.renderStatsPanel();
+        }
+    }
+
+    /**
+     * Totals, type breakdown, largest files, folder treemap and share counts.
+     * Every entry opens the folder it belongs to.
+     */
+    renderStatsPanel() {
+        const stats = STATS.compute(this.vault.index, this.vault.getSharedFiles());
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const folderLink = (path, html, label) =>
+            `<button class="stats-link" data-action="openStatsFolder" data-path="${this.escapeAttr(path)}" aria-label="${this.escapeAttr(label)}">${html}</button>`;
+
+        let html = `
+            <div class="report-summary">
+                <div>${CRYPTO.formatBytes(stats.totalSize)} stored${stats.unknownSizes > 0 ? ` (${stats.unknownSizes} without a recorded size)` : ''}</div>
+                <div>${plural(stats.fileCount, 'file')} in ${plural(stats.folderCount, 'folder')}</div>
+                <div>${plural(stats.shared.total, 'shared file')}</div>
+            </div>
+        `;
+
+        if (stats.fileCount === 0) {
+            document.getElementById('statsContent').innerHTML = html + '<div class="text-muted">The vault is empty.</div>';
+            return;
+        }
+
+        html += '<div class="report-group">Folder sizes</div>';
+        html += `<div class="treemap" role="group" aria-label="Folder sizes">${this.renderTreemap(stats.tree)}</div>`;
+
+        html += '<div class="report-group">By type</div>';
+        html += stats.types.map(type => {
+            const percent = stats.totalSize > 0 ? (type.size / stats.totalSize) * 100 : 0;
+            const where = type.topFolder ? `/${type.topFolder}` : '/';
+            return `
+                <div class="offline-item">
+                    <div class="file-info">
+                        <div class="file-name">${this.escapeHtml(type.label)}</div>
+                        <div class="file-path">${plural(type.count, 'file')} • ${CRYPTO.formatBytes(type.size)} • ${percent.toFixed(1)}%</div>
+                        <div class="stats-bar" aria-hidden="true"><div style="width: ${percent.toFixed(1)}%"></div></div>
+                    </div>
+                    ${folderLink(type.topFolder, `Mostly in ${this.escapeHtml(where)}`, `${type.label}: open ${where}, the folder with the most`)}
+                </div>
+            `;
+        }).join('');
+
+        html += '<div class="report-group">Largest files</div>';
+        html += stats.largest.map(file => {
+            const parent = file.path.split('/').slice(0, -1).join('/');
+            return `
+                <div class="offline-item">
+                    <div class="file-info">
+                        <div class="file-name">${this.escapeHtml(file.name)}</div>
+                        <div class="file-path">/${this.escapeHtml(file.path)}</div>
+                    </div>
+                    <button class="stats-link" data-action="openStatsFolder" data-path="${this.escapeAttr(parent)}" data-file="${this.escapeAttr(file.path)}" aria-label="${this.escapeAttr(`Show ${file.path}, ${CRYPTO.formatBytes(file.size)}`)}">${CRYPTO.formatBytes(file.size)}</button>
+                </div>
+            `;
+        }).join('');
+
+        if (stats.shared.total > 0) {
+            const shared = stats.shared;
+            const counts = [
+                [shared.active, 'active'],
+                [shared.pending, 'not yet open'],
+                [shared.expired, 'expired'],
+                [shared.separatePassword, 'with the password sent separately'],
+                [shared.missing, 'of files no longer in the vault']
+            ].filter(([count]) => count > 0);
+            html += '<div class="report-group">Shared files</div>';
+            html += `
+                <div class="offline-item">
+                    <div class="file-info">
+                        <div class="file-name">${plural(shared.total, 'share')}</div>
+                        <div class="file-path">${counts.map(([count, label]) => `${count} ${label}`).join(' • ')}</div>
+                    </div>
+                    <button class="stats-link" onclick="fileBrowser.showSharedFiles()">Show shared files</button>
+                </div>
+            `;
+        }
+
+        document.getElementById('statsContent').innerHTML = html;
+    }
+
+    /**
+     * Treemap cells for the root's folders, each with its own subfolders nested inside.
+     * Files kept directly in a folder take up the rest of its cell.
+     */
+    renderTreemap(tree) {
+        const aspect = FileBrowserUI.TREEMAP_ASPECT;
+        const cellsOf = (folder) => {
+            const cells = folder.children.filter(child => child.size > 0);
+            if (folder.ownSize > 0) {
+                cells.push({ name: folder.path ? 'Files here' : 'Files in /', path: folder.path, size: folder.ownSize, fileCount: folder.ownFiles, shared: 0, children: [], files: true });
+            }
+            return cells;
+        };
+        const describe = (cell) => {
+            const where = `/${cell.path}${cell.files ? ' (files directly inside)' : ''}`;
+            return `${where}: ${CRYPTO.formatBytes(cell.size)}, ${cell.fileCount} file${cell.fileCount === 1 ? '' : 's'}` +
+                (cell.shared > 0 ? `, ${cell.shared} shared` : '');
+        };
+        const button = (cell, className) => `
+            <button class="${className}" data-action="openStatsFolder" data-path="${this.escapeAttr(cell.path)}" title="${this.escapeAttr(describe(cell))}" aria-label="${this.escapeAttr(describe(cell))}">
+                <span class="treemap-name">${this.escapeHtml(cell.name)}</span>
+                <span class="treemap-size">${CRYPTO.formatBytes(cell.size)}</span>
+            </button>
+        `;
+        const position = (rect) => `left: ${rect.x.toFixed(3)}%; top: ${rect.y.toFixed(3)}%; width: ${rect.width.toFixed(3)}%; height: ${rect.height.toFixed(3)}%;`;
+
+        const cells = cellsOf(tree);
+        const rects = STATS.layoutTreemap(cells.map(cell => cell.size), aspect);
+        return cells.map((cell, i) => {
+            const rect = rects[i];
+            const hue = (260 + i * 47) % 360;
+            const children = cell.files ? [] : cellsOf(cell);
+
+            // Nest subfolders only where the cell is large enough to read them
+            if (children.length < 2 || rect.width < 15 || rect.height < 25) {
+                return `<div class="treemap-cell" style="${position(rect)} --treemap-hue: ${hue};">${button(cell, 'treemap-button')}</div>`;
+            }
+            const childRects = STATS.layoutTreemap(children.map(child => child.size), (rect.width * aspect) / rect.height);
+            const nested = children.map((child, j) =>
+                `<div class="treemap-cell" style="${position(childRects[j])}">${button(child, 'treemap-button')}</div>`
+            ).join('');
+            return `
+                <div class="treemap-cell" style="${position(rect)} --treemap-hue: ${hue};">
+                    ${button(cell, 'treemap-label')}
+                    <div class="treemap-children">${nested}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open a folder from the dashboard, focusing focusPath (a file) when given
+     */
+    openStatsFolder(dirPath, focusPath = null) {
+        if (!this.vault.index.getFolder(dirPath)) {
+            this.showError(`/${dirPath} is no longer in the vault`);
+            return;
+        }
+        this.openDirectory(dirPath, focusPath);
+    }
+
+    /**
+     * Open the root folder with the shared files list expanded
+     */
+    showSharedFiles() {
+        this.openDirectory('');
+        const header = document.querySelector('#sharedFiles .shared-files-header');
+        if (!header) return;
+        if (header.getAttribute('aria-expanded') !== 'true') {
+            header.click();
+        }
+        header.focus();
+    }
+
+    /**
+     * Why the vault on screen can't be changed
+     */
+    readOnlyMessage() {
+        return this.vault.isLocal() ? FileBrowserUI.LOCAL_READ_ONLY_MESSAGE : FileBrowserUI.SNAPSHOT_READ_ONLY_MESSAGE;
+    }
+
+    /**
+     * Show or hide the vault history: commits that changed the index, newest first
+     */
+    async toggleHistoryPanel() {
+        const panel = document.getElementById('historyPanel');
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+        const vault = this.liveVault || this.vault;
+        if (vault.isLocal()) {
+            this.showError(FileBrowserUI.LOCAL_HISTORY_MESSAGE);
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        if (this.history) {
+            this.renderHistoryPanel();
+            return;
+        }
+        this.history = { vault: vault, commits: [], page: 0, complete: false, selected: [], snapshots: new Map(), diff: null };
+        await this.loadMoreHistory();
+    }
+
+    /**
+     * GitHub API client for reading history. The token from the upload panel is used when
+     * there is one (private repositories, a higher rate limit) but isn't needed.
+     */
+    historyAPI(vault) {
+        const token = document.getElementById('tokenInput').value.trim();
+        const apiBase = document.getElementById('apiBaseInput').value.trim();
+        return new GitHubAPI(token, {
+            owner: vault.username,
+            branch: vault.storageOptions.branch,
+            apiBase: apiBase
+        });
+    }
+
+    /**
+     * Fetch the next page of commits
+     */
+    async loadMoreHistory() {
+        const history = this.history;
+        const status = document.getElementById('historyStatus');
+        status.textContent = 'Loading history...';
+        try {
+            const commits = await history.vault.listHistory(this.historyAPI(history.vault), { page: history.page + 1, perPage: FileBrowserUI.HISTORY_PAGE_SIZE });
+            if (this.history !== history) return;
+            history.page++;
+            history.commits.push(...commits);
+            history.complete = commits.length < FileBrowserUI.HISTORY_PAGE_SIZE;
+            status.textContent = '';
+        } catch (error) {
+            if (this.history !== history) return;
+            console.error('History error:', error);
+            status.textContent = `Could not load the history: ${this.describeError(error)}`;
+        }
+        this.renderHistoryPanel();
+    }
+
+    /**
+     * Commits with Browse buttons and checkboxes to pick one or two versions to compare,
+     * then the comparison if there is one
+     */
+    renderHistoryPanel() {
+        const history = this.history;
+        const showing = this.vault.commit ? this.vault.commit.sha : null;
+        const selected = history.selected.length;
+
+        const compareButton = document.getElementById('historyCompareButton');
+        compareButton.disabled = selected === 0;
+        compareButton.textContent = selected === 1 ? '↔️ Compare with current' : '↔️ Compare';
+
+        let html = history.commits.map((commit, position) => {
+            const label = this.commitLabel(commit);
+            const checked = history.selected.includes(commit.sha);
+            const notes = [
+                this.escapeHtml(commit.sha.slice(0, 7)),
+                commit.author ? this.escapeHtml(commit.author) : '',
+                position === 0 ? 'latest' : '',
+                commit.sha === showing ? '<strong>on screen</strong>' : ''
+            ].filter(note => note);
+            return `
+                <div class="offline-item history-item${commit.sha === showing ? ' active' : ''}">
+                    <input type="checkbox" class="history-select" ${checked ? 'checked' : ''} data-action="toggleHistorySelection" data-sha="${this.escapeAttr(commit.sha)}" aria-label="${this.escapeAttr(`Compare the version of ${label}`)}">
+                    <div class="file-info">
+                        <div class="file-name">${this.escapeHtml(label)}</div>
+                        <div class="file-path">${this.escapeHtml(commit.message.split('\n')[0] || 'No commit message')} • ${notes.join(' • ')}</div>
+                    </div>
+                    <button class="btn-secondary btn-small" data-action="openSnapshot" data-sha="${this.escapeAttr(commit.sha)}">🕰️ Browse</button>
+                </div>
+            `;
+        }).join('');
+
+        if (history.commits.length === 0 && history.complete) {
+            html = '<div class="text-muted">No commits changed the vault index on this branch.</div>';
+        }
+        if (!history.complete && history.page > 0) {
+            html += '<button class="btn-secondary btn-small history-more" onclick="fileBrowser.loadMoreHistory()">Load older versions</button>';
+        }
+        if (history.diff) {
+            html += this.renderHistoryDiff(history.diff);
+        }
+        document.getElementById('historyContent').innerHTML = html;
+    }
+
+    /**
+     * Date of a commit for display, e.g. "3/14/2026, 9:30:00 AM"
+     */
+    commitLabel(commit) {
+        return commit.date === null ? commit.sha.slice(0, 7) : new Date(commit.date).toLocaleString();
+    }
+
+    /**
+     * Pick a version to compare; picking a third drops the one picked first
+     */
+    toggleHistorySelection(sha, selected) {
+        const history = this.history;
+        history.selected = history.selected.filter(picked => picked !== sha);
+        if (selected) {
+            history.selected.push(sha);
+            if (history.selected.length > 2) history.selected.shift();
+        }
+        this.renderHistoryPanel();
+    }
+
+    /**
+     * The vault at a commit, decrypted once and kept until the history is closed
+     */
+    async loadSnapshot(commit) {
+        const history = this.history;
+        if (!history.snapshots.has(commit.sha)) {
+            history.snapshots.set(commit.sha, await history.vault.openSnapshot(this.historyAPI(history.vault), commit));
+        }
+        return history.snapshots.get(commit.sha);
+    }
+
+    /**
+     * Compare the two picked versions, older to newer, or the one picked with the current vault
+     */
+    async compareHistory() {
+        const history = this.history;
+        // Commits are listed newest first
+        const [older, newer] = history.commits.filter(commit => history.selected.includes(commit.sha)).reverse();
+        if (!older) return;
+
+        const status = document.getElementById('historyStatus');
+        status.textContent = 'Decrypting both versions...';
+        try {
+            const before = await this.loadSnapshot(older);
+            const after = newer ? await this.loadSnapshot(newer) : history.vault;
+            if (this.history !== history) return;
+            history.diff = { before: before, after: after, changes: before.index.diff(after.index) };
+            status.textContent = '';
+        } catch (error) {
+            if (this.history !== history) return;
+            console.error('Compare error:', error);
+            status.textContent = `Could not compare these versions: ${this.describeError(error)}`;
+            return;
+        }
+        this.renderHistoryPanel();
+    }
+
+    /**
+     * Files added, removed and changed between two versions, each with buttons to show it
+     * in the version it is in
+     */
+    renderHistoryDiff({ before, after, changes }) {
+        const versionName = (vault) => vault.commit ? this.commitLabel(vault.commit) : 'the current version';
+        const sha = (vault) => vault.commit ? vault.commit.sha : '';
+        const size = (file) => file.size === null ? 'unknown size' : CRYPTO.formatBytes(file.size);
+        const showButton = (vault, file, text) =>
+            `<button class="stats-link" data-action="showHistoryFile" data-sha="${this.escapeAttr(sha(vault))}" data-path="${this.escapeAttr(file.path)}" aria-label="${this.escapeAttr(`${text}: ${file.path} as of ${versionName(vault)}`)}">${text}</button>`;
+        const row = (kind, symbol, file, detail, buttons) => `
+            <div class="offline-item diff-item diff-${kind}">
+                <div class="file-info">
+                    <div class="file-name"><span aria-hidden="true">${symbol}</span> ${this.escapeHtml(file.path)}</div>
+                    <div class="file-path">${detail}</div>
+                </div>
+                ${buttons}
+            </div>
+        `;
+
+        const { added, removed, changed } = changes;
+        let html = `
+            <div class="report-group">Changes from ${this.escapeHtml(versionName(before))} to ${this.escapeHtml(versionName(after))}</div>
+            <div class="report-summary">
+                <div>${added.length} added</div>
+                <div>${removed.length} removed</div>
+                <div>${changed.length} changed</div>
+            </div>
+        `;
+        if (added.length + removed.length + changed.length === 0) {
+            return html + '<div class="text-muted">No files differ between these versions.</div>';
+        }
+        html += added.map(file => row('added', '+', file, `Added • ${size(file)}`, showButton(after, file, 'Show'))).join('');
+        html += removed.map(file => row('removed', '−', file, `Removed • ${size(file)}`, showButton(before, file, 'Show old'))).join('');
+        html += changed.map(({ before: old, after: file }) => row('changed', '~', file,
+            `Changed • ${size(old)} → ${size(file)}`,
+            showButton(before, old, 'Old') + showButton(after, file, 'New')
+        )).join('');
+        return html;
+    }
+
+    /**
+     * Show a file from the comparison in its version ('' for the current one)
+     */
+    async showHistoryFile(sha, filePath) {
+        if (sha) {
+            await this.openSnapshot(sha, filePath);
+        } else {
+            this.leaveSnapshot(filePath);
+        }
+    }
+
+    /**
+     * Browse the vault as it was at a commit, read-only, in the folder on screen if it
+     * existed then (or the folder of focusPath, a file)
+     */
+    async openSnapshot(sha, focusPath = null) {
+        const history = this.history;
+        const commit = history.commits.find(entry => entry.sha === sha);
+        if (!commit) return;
+
+        this.showInfo(`Decrypting the vault as of ${this.commitLabel(commit)}...`);
+        let snapshot;
+        try {
+            snapshot = await this.loadSnapshot(commit);
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            this.showError(`Could not open this version: ${this.describeError(error)}`);
+            return;
+        }
+        if (this.history !== history) return;
+
+        const path = focusPath ? focusPath.split('/').slice(0, -1).join('/') : this.vault.currentPath;
+        this.liveVault = history.vault;
+        this.showVersion(snapshot, path, focusPath);
+        this.renderHistoryPanel();
+        this.showInfo(`Showing the vault as of ${this.commitLabel(commit)}`);
+    }
+
+    /**
+     * Go back from an earlier version to the current vault
+     */
+    leaveSnapshot(focusPath = null) {
+        const path = focusPath ? focusPath.split('/').slice(0, -1).join('/') : this.vault.currentPath;
+        const vault = this.liveVault || this.vault;
+        this.liveVault = null;
+        this.showVersion(vault, path, focusPath);
+        if (this.history) this.renderHistoryPanel();
+    }
+
+    /**
+     * Show a version of the vault (switching to it if another is on screen) at a folder,
+     * or the root if the folder doesn't exist in it
+     */
+    showVersion(vault, path, focusPath = null) {
+        if (vault !== this.vault) {
+            this.resetVaultUI();
+            this.vault = vault;
+            this.thumbnails = new ThumbnailLoader(vault);
+            this.updateSnapshotBanner();
+            this.updateIndexWarning();
+        }
+        if (!vault.index.getFolder(path)) {
+            path = '';
+        }
+        this.openDirectory(path, focusPath && vault.findFile(focusPath) ? focusPath : null);
+    }
+
+    updateSnapshotBanner() {
+        const banner = document.getElementById('snapshotBanner');
+        const commit = this.vault.commit;
+        banner.classList.toggle('hidden', !commit);
+        if (!commit) {
+            banner.innerHTML = '';
+            return;
+        }
+        banner.innerHTML = `
+            <span>🕰️ This is the vault as of ${this.escapeHtml(this.commitLabel(commit))} (${this.escapeHtml(commit.sha.slice(0, 7))}). It is read-only; files open and download as they were then.</span>
+            <button class="btn-secondary btn-small" onclick="fileBrowser.leaveSnapshot()">↩️ Back to current version</button>
+        `;
+    }
+
+    /**
+     * Leave an earlier version and forget the loaded history, before the vault is locked or
+     * another vault is shown
+     */
+    closeHistory() {
+        if (this.liveVault) {
+            this.vault = this.liveVault;
+            this.liveVault = null;
+        }
+        if (this.history) {
+            for (const snapshot of this.history.snapshots.values()) {
+                snapshot.wipe();
+            }
+            this.history = null;
+        }
+        document.getElementById('historyPanel').classList.add('hidden');
+        document.getElementById('historyContent').innerHTML = '';
+        document.getElementById('historyStatus').textContent = '';
+        document.getElementById('snapshotBanner').classList.add('hidden');
+    }
+
+    /**
+     * Show or hide the upload panel
+     */
+    toggleUploadPanel() {
+        if (this.vault.isReadOnly()) {
+            this.showError(this.readOnlyMessage());
+            return;
+        }
+        const panel = document.getElementById('uploadPanel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            document.getElementById('uploadDestination').textContent = '/' + this.vault.currentPath;
+        }
+    }
+
+    /**
+     * GitHub API client for the token in the upload panel, or null (with the panel opened
+     * and a prompt shown) if no token has been entered yet
+     */
+    requireGitHubAPI() {
+        if (this.vault.isReadOnly()) {
+            this.showError(this.readOnlyMessage());
+            return null;
+        }
+        const token = document.getElementById('tokenInput').value.trim();
+        const apiBase = document.getElementById('apiBaseInput').value.trim();
+
+        if (!token) {
+            if (document.getElementById('uploadPanel').classList.contains('hidden')) {
+                this.toggleUploadPanel();
+            }
+            document.getElementById('tokenInput').focus();
+            this.showError('Enter a GitHub token with write access to the vault repository, then try again');
+            return null;
+        }
+
+        // An emptied field goes back to api.github.com
+        if (apiBase) {
+            localStorage.setItem('zephyrus_api_base', apiBase);
+        } else {
+            localStorage.removeItem('zephyrus_api_base');
+        }
+        return new GitHubAPI(token, {
+            owner: this.vault.username,
+            branch: this.vault.storageOptions.branch,
+            apiBase: apiBase
+        });
+    }
+
+    /**
+     * Open the share panel for a file
+     */
+    shareFile(filePath) {
+        const fileEntry = this.vault.findFile(filePath);
+        if (!fileEntry) {
+            this.showError('File not found');
+            return;
+        }
+        this.shareTarget = filePath;
+        document.getElementById('shareFileName').textContent = fileEntry.name;
+        document.getElementById('shareExpirySelect').value = '0';
+        document.getElementById('shareNotBeforeInput').value = '';
+        document.getElementById('shareNoteInput').value = '';
+        document.getElementById('shareSeparatePassword').checked = false;
+        document.getElementById('sharePanel').classList.remove('hidden');
+    }
+
+    closeSharePanel() {
+        this.shareTarget = null;
+        document.getElementById('sharePanel').classList.add('hidden');
+    }
+
+    /**
+     * Create a share link with the panel's options and copy it
+     */
+    async createShareFromPanel() {
+        const fileEntry = this.shareTarget ? this.vault.findFile(this.shareTarget) : null;
+        if (!fileEntry) {
+            this.showError('File not found');
+            return;
+        }
+
+        const hours = Number(document.getElementById('shareExpirySelect').value);
+        const notBeforeValue = document.getElementById('shareNotBeforeInput').value;
+        const notBefore = notBeforeValue ? new Date(notBeforeValue) : null;
+        if (notBefore && Number.isNaN(notBefore.getTime())) {
+            this.showError('Invalid start date');
+            return;
+        }
+        // The expiry counts from when the link opens
+        const start = notBefore && notBefore.getTime() > Date.now() ? notBefore.getTime() : Date.now();
+        const options = {
+            notBefore: notBefore,
+            expiresAt: hours > 0 ? new Date(start + hours * 3600 * 1000) : null,
+            note: document.getElementById('shareNoteInput').value.trim(),
+            separatePassword: document.getElementById('shareSeparatePassword').checked
+        };
+
+        const api = this.requireGitHubAPI();
+        if (!api) return;
+
+        try {
+            this.showInfo(`Creating share link for ${fileEntry.name}...`);
+            const entry = await this.vault.createShare(api, fileEntry, options);
+            this.closeSharePanel();
+            this.renderCurrentDirectory();
+            this.refreshStatsPanel();
+            this.copyShareLink(this.getShareURL(entry), entry.password_separate
+                ? 'Share link copied! Use 🔑 Copy Password and send the password over a different channel.'
+                : undefined);
+        } catch (error) {
+            console.error('Share failed:', error);
+            this.showError(`Could not share ${fileEntry.name}: ${this.describeError(error)}`);
+        }
+    }
+
+    /**
+     * Revoke a share after confirmation
+     */
+    async revokeShare(reference) {
+        const entry = this.vault.getSharedFiles().find(shared => (shared.reference || shared.Reference) === reference);
+        const name = entry ? entry.name || entry.Name : reference;
+        if (!window.confirm(`Revoke the share link for ${name}? Anyone holding the link will lose access.`)) return;
+
+        const api = this.requireGitHubAPI();
+        if (!api) return;
 
         try {
-            this.vault = new FileVault(username, password);
-            await this.vault.loadIndex();
-            
-            document.getElementById('usernameInput').value = username;
-            document.getElementById('passwordInput').value = password;
-            document.getElementById('authSection').classList.add('hidden');
-            document.getElementById('browserSection').classList.remove('hidden');
-            
-            this.updateBreadcrumb();
+            this.showInfo(`Revoking share for ${name}...`);
+            await this.vault.revokeShare(api, reference);
             this.renderCurrentDirectory();
-            return true;
+            this.refreshStatsPanel();
+            this.showSuccess(`Share link for ${name} revoked`);
+        } catch (error) {
+            console.error('Revoke failed:', error);
+            this.showError(`Could not revoke share: ${this.describeError(error)}`);
+        }
+    }
+
+    /**
+     * Encrypt the chosen files and commit them to the current folder
+     * The token is only kept in the form field and cleared when the vault locks
+     */
+    async uploadFiles() {
+        if (this.isUploading) return;
+        const files = Array.from(document.getElementById('uploadFileInput').files);
+        if (files.length === 0) {
+            this.showError('Choose at least one file to upload');
+            return;
+        }
+
+        const api = this.requireGitHubAPI();
+        if (!api) return;
+
+        const dirPath = this.vault.currentPath;
+        const status = document.getElementById('uploadStatus');
+        const button = document.getElementById('uploadButton');
+        this.isUploading = true;
+        button.disabled = true;
+
+        const uploaded = [];
+        try {
+            for (const file of files) {
+                const data = await file.arrayBuffer();
+                await this.vault.uploadFile(api, dirPath, file.name, data, {
+                    onStatus: (text) => { status.textContent = text; }
+                });
+                uploaded.push(file.name);
+            }
+            this.showSuccess(`Uploaded ${uploaded.length} file${uploaded.length === 1 ? '' : 's'} to /${dirPath}`);
+            document.getElementById('uploadFileInput').value = '';
+        } catch (error) {
+            console.error('Upload failed:', error);
+            const done = uploaded.length > 0 ? ` (${uploaded.length} uploaded before the error)` : '';
+            this.showError(`Upload failed: ${this.describeError(error)}${done}`);
+        } finally {
+            this.isUploading = false;
+            button.disabled = false;
+            status.textContent = '';
+            this.searchIndex = null;
+            if (this.vault) {
+                this.updateIndexWarning();
+                if (this.vault.currentPath === dirPath) this.renderCurrentDirectory();
+                this.refreshStatsPanel();
+            }
+        }
+    }
+
+    /**
+     * Reload the set of files kept offline
+     */
+    async refreshPinned() {
+        try {
+            this.pinnedURLs = await OFFLINE.pinnedURLs();
+        } catch (error) {
+            console.warn('Offline cache unavailable:', error);
+            this.pinnedURLs = new Set();
+        }
+    }
+
+    /**
+     * Pin a file for offline use, or drop its offline copy
+     */
+    async togglePin(filePath) {
+        const fileEntry = this.vault.findFile(filePath);
+        if (!fileEntry) {
+            this.showError('File not found');
+            return;
+        }
+
+        try {
+            if (this.vault.isPinned(fileEntry, this.pinnedURLs)) {
+                await this.vault.unpinFile(fileEntry);
+                this.showInfo(`${fileEntry.name} is no longer available offline`);
+            } else {
+                this.showInfo(`Saving encrypted copy of ${fileEntry.name} for offline use...`);
+                await this.vault.pinFile(fileEntry);
+                this.showSuccess(`${fileEntry.name} is available offline`);
+            }
         } catch (error) {
-            // Session restoration failed, clear it
-            sessionStorage.removeItem('vault_username');
-            sessionStorage.removeItem('vault_password');
+            this.showError(`Could not update offline copy: ${this.describeError(error)}`);
+        }
+
+        await this.refreshPinned();
+        this.renderCurrentDirectory();
+        if (!document.getElementById('offlinePanel').classList.contains('hidden')) {
+            await this.renderOfflinePanel();
+        }
+    }
+
+    /**
+     * Show or hide the offline cache panel
+     */
+    async toggleOfflinePanel() {
+        const panel = document.getElementById('offlinePanel');
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+        await this.renderOfflinePanel();
+    }
+
+    /**
+     * List offline copies with their size and age; files of the open vault are shown by name
+     */
+    async renderOfflinePanel() {
+        const list = document.getElementById('offlineList');
+        const usage = document.getElementById('offlineUsage');
+
+        if (!OFFLINE.isAvailable()) {
+            usage.textContent = 'Offline storage is not available in this browser.';
+            list.innerHTML = '';
+            return;
+        }
+
+        const entries = await OFFLINE.list();
+        const names = new Map();
+        for (const file of this.vault.getFilesUnder('').files) {
+            names.set(this.vault.backend.resolve(file.realName), file.path);
+        }
+        names.set(this.vault.backend.resolve('.config/index'), 'Vault index');
+        names.set(this.vault.backend.resolve('shared/.config/index'), 'Shared files index');
+
+        const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const estimate = await OFFLINE.estimate();
+        usage.textContent = `${entries.length} encrypted item${entries.length === 1 ? '' : 's'} • ${CRYPTO.formatBytes(total)}` +
+            (estimate && estimate.quota ? ` • ${CRYPTO.formatBytes(estimate.usage || 0)} of ${CRYPTO.formatBytes(estimate.quota)} site storage used` : '');
+
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="text-muted">Nothing is stored offline yet. Use 📌 Pin on a file to keep it.</div>';
+            return;
+        }
+
+        // Current vault first, then anything left over from other vaults
+        entries.sort((a, b) => Number(names.has(b.url)) - Number(names.has(a.url)) || a.url.localeCompare(b.url));
+        list.innerHTML = entries.map(entry => {
+            const name = names.get(entry.url);
+            const cachedAt = entry.cachedAt ? new Date(entry.cachedAt).toLocaleString() : 'unknown date';
+            return `
+                <div class="offline-item">
+                    <div class="file-info">
+                        <div class="file-name">${this.escapeHtml(name || 'Other vault')}</div>
+                        <div class="file-path">${name ? '' : this.escapeHtml(entry.url) + ' • '}${CRYPTO.formatBytes(entry.size)} • saved ${this.escapeHtml(cachedAt)}</div>
+                    </div>
+                    <button class="btn-secondary btn-small" data-action="evictOffline" data-url="${this.escapeAttr(entry.url)}">🗑️ Evict</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async evictOffline(url) {
+        await OFFLINE.evict(url);
+        await this.refreshPinned();
+        this.renderCurrentDirectory();
+        await this.renderOfflinePanel();
+    }
+
+    /**
+     * Remove every offline copy belonging to the open vault
+     */
+    async clearOffline() {
+        await OFFLINE.clear(this.vault.backend.resolve(''));
+        await this.refreshPinned();
+        this.renderCurrentDirectory();
+        await this.renderOfflinePanel();
+        this.showInfo('Offline copies of this vault removed');
+    }
+
+    /**
+     * Close everything tied to the vault on screen (preview, search, selection, panels,
+     * thumbnails) before it is locked or another vault is shown
+     */
+    resetVaultUI() {
+        this.closePreview();
+        this.clearSearch();
+        this.searchIndex = null;
+        this.selection.clear();
+        document.getElementById('offlinePanel').classList.add('hidden');
+        document.getElementById('indexReportPanel').classList.add('hidden');
+        document.getElementById('statsPanel').classList.add('hidden');
+        document.getElementById('statsContent').innerHTML = '';
+        document.getElementById('indexWarning').classList.add('hidden');
+        document.getElementById('uploadPanel').classList.add('hidden');
+        document.getElementById('sharePanel').classList.add('hidden');
+        this.currentItems = [];
+        if (this.thumbnails) {
+            this.thumbnails.clear();
+            this.thumbnails = null;
+        }
+        document.getElementById('fileList').innerHTML = '';
+        document.getElementById('sharedFiles').innerHTML = '';
+    }
+
+    /**
+     * Lock the vault on screen: wipe its decrypted index and cached keys. Another unlocked
+     * vault is shown if there is one, otherwise the unlock form, with the username and
+     * storage options still filled in.
+     */
+    async lock(reason = 'Vault locked') {
+        this.closeHistory();
+        const vault = this.vault;
+        this.cancelTransfer();
+        this.resetVaultUI();
+        document.getElementById('tokenInput').value = '';
+        if (vault) {
+            this.vaults.delete(this.vaultKey(vault));
+            vault.wipe();
+        }
+        this.vault = null;
+
+        // The vault shown most recently before this one
+        const next = Array.from(this.vaults.keys()).pop();
+        if (next) {
+            try {
+                await this.switchVault(next);
+                this.showInfo(`${this.vaultLabel(vault)} locked`);
+            } catch (error) {
+                // The other vaults stay unlocked in the switcher
+                console.error('Could not show the next vault:', error);
+                this.showUnlockForm();
+                this.showError(`${this.vaultLabel(vault)} locked, but ${this.vaultLabel(this.vaults.get(next))} could not be shown: ${this.describeError(error)}`);
+            }
+            return;
+        }
+
+        clearTimeout(this.idleTimeout);
+        this.idleTimeout = null;
+        this.pendingLock = null;
+
+        document.getElementById('passwordInput').value = '';
+        this.hideAuthError();
+        document.getElementById('authSection').classList.remove('hidden');
+        document.getElementById('browserSection').classList.add('hidden');
+        SESSION.clear();
+        this.renderVaultSwitcher();
+
+        if (vault) {
+            this.showInfo(reason);
+        }
+    }
+
+    /**
+     * Lock one vault from the switcher; the one on screen is locked with lock()
+     */
+    lockVault(key) {
+        const vault = this.vaults.get(key);
+        if (!vault) return;
+        if (vault === this.vault || vault === this.liveVault) {
+            return this.lock(`${this.vaultLabel(vault)} locked`);
+        }
+        this.vaults.delete(key);
+        vault.wipe();
+        this.saveSession();
+        this.renderVaultSwitcher();
+        this.showInfo(`${this.vaultLabel(vault)} locked`);
+    }
+
+    /**
+     * Lock every unlocked vault (auto-lock and logout)
+     */
+    lockAll(reason = 'Vault locked') {
+        this.closeHistory();
+        for (const vault of this.vaults.values()) {
+            if (vault !== this.vault) vault.wipe();
+        }
+        this.vaults = new Map(this.vault ? [[this.vaultKey(this.vault), this.vault]] : []);
+        return this.lock(reason);
+    }
+
+    /**
+     * Logout and return to auth screen
+     */
+    logout() {
+        this.lockAll();
+        this.clearMessages();
+        sessionStorage.removeItem('vault_username');
+    }
+
+    vaultKey(vault) {
+        return PROFILES.keyFor(vault.username, vault.storageOptions);
+    }
+
+    /**
+     * Name shown for a vault: its profile's display name, or the username
+     */
+    vaultLabel(vault) {
+        const profile = PROFILES.get(this.vaultKey(vault));
+        return profile ? PROFILES.displayName(profile) : vault.username;
+    }
+
+    /**
+     * Show an unlocked vault. Unless the URL already names it (after unlocking, a reload,
+     * Back/Forward), a history entry is added so Back returns to the previous vault.
+     */
+    async switchVault(key, { fromLocation = false } = {}) {
+        const vault = this.vaults.get(key);
+        if (!vault) return;
+        if (this.vault) {
+            this.closeHistory();
+            this.resetVaultUI();
+        }
+
+        // Most recently shown last, so locking a vault falls back to the one before it
+        this.vaults.delete(key);
+        this.vaults.set(key, vault);
+        this.vault = vault;
+
+        this.setStorageOptions(vault.storageOptions);
+        document.getElementById('usernameInput').value = vault.username;
+        sessionStorage.setItem('vault_username', vault.username);
+        if (!fromLocation) {
+            this.syncLocation(true);
+        }
+        await this.saveSession();
+        await this.showBrowser();
+    }
+
+    /**
+     * Show the unlock form for another vault (a saved profile, or empty to add one) while
+     * the unlocked vaults stay open
+     */
+    showUnlockForm(profile = null, { push = true } = {}) {
+        if (this.vault) {
+            this.closeHistory();
+            this.resetVaultUI();
+        }
+        const username = profile ? profile.username : '';
+        const storageOptions = profile ? profile.storageOptions : {};
+        document.getElementById('usernameInput').value = username;
+        this.setStorageOptions(storageOptions);
+        document.getElementById('profileNameInput').value = profile && profile.name ? profile.name : '';
+        document.getElementById('passwordInput').value = '';
+        this.hideAuthError();
+        document.getElementById('browserSection').classList.add('hidden');
+        document.getElementById('authSection').classList.remove('hidden');
+
+        if (push) {
+            const query = this.buildQuery(username, storageOptions);
+            window.history.pushState(null, '', query ? `?${query}` : window.location.pathname);
+        }
+        this.renderVaultSwitcher();
+        document.getElementById(username ? 'passwordInput' : 'usernameInput').focus();
+    }
+
+    /**
+     * Switcher click: show the vault if it is unlocked, otherwise its unlock form
+     */
+    selectVault(key) {
+        if (this.vaults.has(key)) {
+            this.switchVault(key);
+        } else {
+            this.showUnlockForm(PROFILES.get(key));
+        }
+    }
+
+    /**
+     * Remove a saved profile (the vault itself is untouched)
+     */
+    forgetProfile(key) {
+        const profile = PROFILES.get(key);
+        if (!profile || !window.confirm(`Forget the profile ${PROFILES.displayName(profile)}? The vault itself is not changed.`)) return;
+        PROFILES.remove(key);
+        this.renderVaultSwitcher();
+    }
+
+    /**
+     * Saved profiles and unlocked vaults, with the one on screen marked
+     */
+    renderVaultSwitcher() {
+        const switcher = document.getElementById('vaultSwitcher');
+        const entries = PROFILES.list();
+        for (const [key, vault] of this.vaults) {
+            if (!entries.some(entry => entry.key === key)) {
+                entries.push({ key: key, name: '', username: vault.username, storageOptions: vault.storageOptions, unsaved: true });
+            }
+        }
+
+        switcher.classList.toggle('hidden', entries.length === 0);
+        if (entries.length === 0) {
+            switcher.innerHTML = '';
+            return;
+        }
+
+        const showing = this.vault && !document.getElementById('browserSection').classList.contains('hidden')
+            ? this.vaultKey(this.vault)
+            : null;
+        switcher.innerHTML = entries.map(entry => {
+            const unlocked = this.vaults.has(entry.key);
+            const label = this.escapeHtml(PROFILES.displayName(entry));
+            const key = this.escapeAttr(entry.key);
+            let action = '';
+            if (unlocked) {
+                action = `<button class="vault-chip-action" data-action="lockVault" data-key="${key}" title="Lock" aria-label="Lock ${label}">Lock</button>`;
+            } else if (!entry.unsaved) {
+                action = `<button class="vault-chip-action" data-action="forgetProfile" data-key="${key}" title="Forget profile" aria-label="Forget profile ${label}">✖</button>`;
+            }
+            return `
+                <div class="vault-chip${unlocked ? ' unlocked' : ''}${entry.key === showing ? ' active' : ''}">
+                    <button class="vault-chip-open" data-action="selectVault" data-key="${key}" title="${this.escapeAttr(entry.username + ' • ' + STORAGE.createBackend(entry.username, entry.storageOptions).describe())}"${entry.key === showing ? ' aria-current="true"' : ''}>
+                        ${unlocked ? '🔓' : '🔒'} ${label}
+                    </button>
+                    ${action}
+                </div>
+            `;
+        }).join('') + '<button class="vault-chip-add" onclick="fileBrowser.showUnlockForm()">➕ Add vault</button>';
+    }
+
+    /**
+     * Keep every unlocked vault's derived key (never a password) so a reload reopens them all
+     */
+    async saveSession() {
+        // Local vaults can't be reopened after a reload: their files have to be chosen again
+        const vaults = Array.from(this.vaults.values()).filter(vault => !vault.isLocal());
+        if (vaults.length === 0) {
+            await SESSION.clear();
+            return;
+        }
+        await SESSION.save({
+            vaults: vaults.map(vault => ({
+                username: vault.username,
+                storageOptions: vault.storageOptions,
+                passwordKey: vault.passwordKey
+            })),
+            active: this.vault ? this.vaultKey(this.vault) : null
+        });
+    }
+
+    /**
+     * Restore the vaults from this tab's saved session (derived keys only) if available
+     */
+    async restoreSession() {
+        // Older versions kept the password itself in sessionStorage
+        sessionStorage.removeItem('vault_password');
+        sessionStorage.removeItem('vault_storage');
+
+        const record = await SESSION.load();
+        // Sessions saved before several vaults could be open hold a single vault
+        const saved = record ? record.vaults || [record] : [];
+
+        for (const entry of saved) {
+            if (!entry.passwordKey) continue;
+            try {
+                const vault = new FileVault(entry.username, entry.passwordKey, entry.storageOptions || {}, { crypto: CRYPTO_POOL.crypto() });
+                await vault.loadIndex();
+                this.vaults.set(this.vaultKey(vault), vault);
+            } catch (error) {
+                console.warn(`Session restore failed for ${entry.username}:`, error);
+            }
+        }
+        if (this.vaults.size === 0) {
+            await SESSION.clear();
             return false;
         }
+
+        // Show the vault in the URL (a reload), else the one that was on screen
+        const params = new URLSearchParams(window.location.search);
+        const fromURL = PROFILES.keyFor(params.get('u'), STORAGE.optionsFromParams(params));
+        if (this.vaults.has(fromURL)) {
+            await this.switchVault(fromURL, { fromLocation: true });
+        } else {
+            await this.switchVault(this.vaults.has(record.active) ? record.active : Array.from(this.vaults.keys()).pop());
+        }
+        return true;
+    }
+
+    /**
+     * Restart the idle auto-lock countdown (called on user activity)
+     */
+    resetIdleTimer() {
+        if (!this.vault) return;
+        clearTimeout(this.idleTimeout);
+        // Activity since an auto-lock was held back for a download cancels it
+        this.pendingLock = null;
+
+        const { idleMinutes } = SESSION.getSettings();
+        if (idleMinutes > 0) {
+            this.idleTimeout = setTimeout(() => this.lockWhenIdle(`Vault locked after ${idleMinutes} minutes of inactivity`), idleMinutes * 60 * 1000);
+        }
+
+        // Keep the saved session alive, at most once a minute
+        const now = Date.now();
+        if (!this.lastSessionTouch || now - this.lastSessionTouch > 60 * 1000) {
+            this.lastSessionTouch = now;
+            SESSION.touch();
+        }
+    }
+
+    /**
+     * Lock now, or as soon as the running download finishes
+     */
+    lockWhenIdle(reason) {
+        if (this.transfer) {
+            this.pendingLock = reason;
+            return;
+        }
+        this.lockAll(reason);
+    }
+
+    /**
+     * Lock when the tab is hidden, if enabled
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden' && this.vault && SESSION.getSettings().lockOnHidden) {
+            this.lockWhenIdle('Vault locked because the tab was hidden');
+        }
+    }
+
+    /**
+     * Fill the lock settings form
+     */
+    loadLockSettings() {
+        const settings = SESSION.getSettings();
+        document.getElementById('idleLockSelect').value = String(settings.idleMinutes);
+        document.getElementById('lockOnHiddenCheckbox').checked = settings.lockOnHidden;
+    }
+
+    /**
+     * Save the lock settings form
+     */
+    saveLockSettings() {
+        SESSION.saveSettings({
+            idleMinutes: Number(document.getElementById('idleLockSelect').value),
+            lockOnHidden: document.getElementById('lockOnHiddenCheckbox').checked
+        });
+        this.resetIdleTimer();
     }
 
     /**
@@ -658,6 +2903,40 @@ class FileBrowserUI {
         btn.textContent = this.isLoading ? '🔄 Loading...' : '🔓 Unlock Vault';
     }
 
+    /**
+     * Explain why a vault didn't unlock under the unlock button, with what to do about it
+     * and, where trying again can help, a button for it
+     */
+    showAuthError(error) {
+        const { title, hint, retry, retryAt } = ERRORS.describe(error, FileBrowserUI.AUTH_ERROR_HINTS);
+        document.getElementById('authErrorTitle').textContent = title;
+        document.getElementById('authErrorMessage').textContent = error.message;
+        document.getElementById('authErrorHint').textContent = hint;
+
+        const retryButton = document.getElementById('authRetryButton');
+        retryButton.classList.toggle('hidden', !retry);
+        retryButton.textContent = retryAt ? `🔄 Try again after ${new Date(retryAt).toLocaleTimeString()}` : '🔄 Try again';
+        document.getElementById('authError').classList.remove('hidden');
+        this.announce(`${title}. ${error.message} ${hint}`, true);
+
+        if (error instanceof WrongPasswordError) {
+            const passwordInput = document.getElementById('passwordInput');
+            passwordInput.focus();
+            passwordInput.select();
+        }
+    }
+
+    hideAuthError() {
+        document.getElementById('authError').classList.add('hidden');
+    }
+
+    /**
+     * Message for an error shown in the tagline, followed by what to do about it
+     */
+    describeError(error) {
+        return ERRORS.explain(error, FileBrowserUI.ERROR_HINTS);
+    }
+
     /**
      * Show status messages
      */
@@ -683,6 +2962,7 @@ class FileBrowserUI {
         
         // Update tagline with notification
         tagline.textContent = `${emoji} ${message}`;
+        this.announce(message, type === 'error');
         
         // Change color based on type
         tagline.style.color = {
@@ -691,12 +2971,23 @@ class FileBrowserUI {
             'info': '#64b5f6'
         }[type] || '#a0a0a0';
         
-        // Reset after 4 seconds
+        // Reset after 4 seconds, or 8 for errors, which carry a hint to read
         this.notificationTimeout = setTimeout(() => {
             tagline.textContent = this.defaultTagline;
             tagline.style.color = '#a0a0a0';
             this.notificationTimeout = null;
-        }, 4000);
+        }, type === 'error' ? 8000 : 4000);
+    }
+
+    /**
+     * Read a message out to screen readers; errors interrupt, everything else waits its turn
+     */
+    announce(message, urgent = false) {
+        const region = document.getElementById(urgent ? 'liveAlert' : 'liveStatus');
+        if (!region) return;
+        // Clearing first makes a repeated message be announced again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
     }
 
     clearMessages() {
@@ -708,6 +2999,19 @@ class FileBrowserUI {
         tagline.style.color = '#a0a0a0';
     }
 
+    /**
+     * Run the action of a clicked [data-action] button instead of the click handler of the row
+     * it is in. Paths and other values from the vault stay in data-* attributes: spliced into
+     * an inline onclick, a ' in a file name would end the script's string.
+     */
+    handleAction(event) {
+        const button = event.target.closest('[data-action]');
+        const action = button && FileBrowserUI.ACTIONS[button.dataset.action];
+        if (!action) return;
+        event.stopPropagation();
+        action.call(this, button.dataset, button);
+    }
+
     /**
      * Utility: escape HTML
      */
@@ -721,41 +3025,152 @@ class FileBrowserUI {
      * Utility: escape attribute
      */
     escapeAttr(text) {
-        return text.replace(/'/g, '&#39;').replace(/"/g, '&quot;');
+        return text.replace(/&/g, '&amp;').replace(/'/g, '&#39;').replace(/"/g, '&quot;');
     }
 }
 
+FileBrowserUI.VIEW_SETTINGS_KEY = 'zephyrus_view_settings';
+// What each data-action button does (see handleAction()), given the button's dataset
+FileBrowserUI.ACTIONS = {
+    openSearchResultFolder(data) { this.openSearchResultFolder(data.path); },
+    previewFile(data) { this.previewFile(data.path); },
+    downloadAndShowFile(data) { this.downloadAndShowFile(data.path); },
+    evictOffline(data) { this.evictOffline(data.url); },
+    copyShareLink(data) { this.copyShareLink(data.url); },
+    revokeShare(data) { this.revokeShare(data.reference); },
+    copySharePassword(data) { this.copySharePassword(data.reference); },
+    downloadFolder(data) { this.downloadFolder(data.path); },
+    togglePin(data) { this.togglePin(data.path); },
+    shareFile(data) { this.shareFile(data.path); },
+    openStatsFolder(data) { this.openStatsFolder(data.path, data.file); },
+    selectVault(data) { this.selectVault(data.key); },
+    lockVault(data) { this.lockVault(data.key); },
+    forgetProfile(data) { this.forgetProfile(data.key); },
+    // A checkbox is already ticked or unticked when its click is handled
+    toggleHistorySelection(data, checkbox) { this.toggleHistorySelection(data.sha, checkbox.checked); },
+    openSnapshot(data) { this.openSnapshot(data.sha); },
+    showHistoryFile(data) { this.showHistoryFile(data.sha, data.path); }
+};
+// Width of the statistics treemap relative to its height (matches its CSS aspect-ratio)
+FileBrowserUI.TREEMAP_ASPECT = 2.5;
+FileBrowserUI.LOCAL_READ_ONLY_MESSAGE = 'This vault was opened from files on this device and is read-only here; change it through its repository';
+FileBrowserUI.SNAPSHOT_READ_ONLY_MESSAGE = 'This is an earlier version of the vault and is read-only; go back to the current version to change it';
+FileBrowserUI.LOCAL_HISTORY_MESSAGE = 'History is read from the vault repository on GitHub, which a vault opened from files on this device does not use';
+// Commits fetched per page of the history panel
+FileBrowserUI.HISTORY_PAGE_SIZE = 30;
+// Hints replacing ERRORS.describe()'s defaults on the unlock form and in the tagline
+FileBrowserUI.AUTH_ERROR_HINTS = {
+    NotFoundError: 'Check the username, branch and storage options. The vault may be on another branch or host.',
+    NetworkError: 'Check your connection, then try again. A vault unlocked here before also opens offline.'
+};
+FileBrowserUI.ERROR_HINTS = {
+    NotFoundError: 'The vault may have changed since it was unlocked; lock and unlock it to reload the index.',
+    NetworkError: 'Check your connection, then try again. Pinned files still open offline.'
+};
+
 // Global instance
 let fileBrowser;
 
 // Initialize on page load
 window.addEventListener('load', async () => {
     fileBrowser = new FileBrowserUI();
-    
+    DOWNLOADS.init();
+    // The API base saved by the last upload; uploads and history read the field only
+    document.getElementById('apiBaseInput').value = localStorage.getItem('zephyrus_api_base') || '';
+
     // Setup event listeners
     document.getElementById('authButton').addEventListener('click', () => fileBrowser.authenticate());
+    document.getElementById('authRetryButton').addEventListener('click', () => fileBrowser.authenticate());
+    document.getElementById('selectAllCheckbox').addEventListener('change', (e) => fileBrowser.selectAll(e.target.checked));
+    // data-action buttons, caught on the way down so the rows they are in don't see the click
+    document.addEventListener('click', (e) => fileBrowser.handleAction(e), true);
+
+    // Search as the query or filters change
+    for (const id of ['searchInput', 'searchType', 'searchMinSize', 'searchMaxSize']) {
+        document.getElementById(id).addEventListener('input', () => {
+            clearTimeout(fileBrowser.searchTimeout);
+            fileBrowser.searchTimeout = setTimeout(() => fileBrowser.runSearch(), 150);
+        });
+    }
+    document.getElementById('fileList').addEventListener('keydown', (e) => fileBrowser.handleListKeydown(e));
+    document.getElementById('fileList').addEventListener('focusin', (e) => {
+        const row = e.target.closest('.file-item[data-path]');
+        if (row && row.tabIndex !== 0) fileBrowser.setActiveRow(row);
+    });
+    document.getElementById('searchInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            fileBrowser.clearSearch();
+            fileBrowser.runSearch();
+        }
+    });
     document.getElementById('passwordInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') fileBrowser.authenticate();
     });
     
-    // Update URL live as username is typed
+    // Update URL live as username or storage options are typed
     document.getElementById('usernameInput').addEventListener('input', (e) => {
-        const username = e.target.value.trim();
-        if (username) {
-            window.history.replaceState({}, '', `?u=${encodeURIComponent(username)}`);
-        } else {
-            window.history.replaceState({}, '', window.location.pathname);
+        fileBrowser.updateURL(e.target.value.trim());
+    });
+    document.getElementById('backendSelect').addEventListener('change', () => {
+        fileBrowser.updateStorageUI();
+        fileBrowser.updateURL(document.getElementById('usernameInput').value.trim());
+    });
+
+    // Local backend: a folder picked or dropped on the drop zone
+    const localDropZone = document.getElementById('localDropZone');
+    const localFolderInput = document.getElementById('localFolderInput');
+    localDropZone.addEventListener('click', () => localFolderInput.click());
+    localDropZone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            localFolderInput.click();
+        }
+    });
+    localFolderInput.addEventListener('change', () => {
+        fileBrowser.chooseLocalFiles(LOCAL.fromFileList(localFolderInput.files));
+        localFolderInput.value = '';
+    });
+    localDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        localDropZone.classList.add('drag-over');
+    });
+    localDropZone.addEventListener('dragleave', () => localDropZone.classList.remove('drag-over'));
+    localDropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        localDropZone.classList.remove('drag-over');
+        try {
+            fileBrowser.chooseLocalFiles(await LOCAL.fromDataTransfer(e.dataTransfer));
+        } catch (error) {
+            console.error('Reading the dropped files failed:', error);
+            fileBrowser.showError(fileBrowser.describeError(error));
         }
     });
+    for (const id of ['branchInput', 'hostInput', 'baseUrlInput']) {
+        document.getElementById(id).addEventListener('input', () => {
+            fileBrowser.updateURL(document.getElementById('usernameInput').value.trim());
+        });
+    }
+
+    // Auto-lock: activity resets the idle timer, hiding the tab can lock immediately
+    fileBrowser.loadLockSettings();
+    document.getElementById('idleLockSelect').addEventListener('change', () => fileBrowser.saveLockSettings());
+    document.getElementById('lockOnHiddenCheckbox').addEventListener('change', () => fileBrowser.saveLockSettings());
+    for (const eventName of ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart']) {
+        document.addEventListener(eventName, () => fileBrowser.resetIdleTimer(), { passive: true });
+    }
+    document.addEventListener('visibilitychange', () => fileBrowser.handleVisibilityChange());
+    window.addEventListener('popstate', () => fileBrowser.applyLocation());
+    SESSION.purgeExpired();
 
     // Check if ?u= parameter exists, logout if missing
     fileBrowser.checkURLParameter();
 
-    // First, try to restore session from sessionStorage
+    // First, try to restore the saved session
     const sessionRestored = await fileBrowser.restoreSession();
     
     if (!sessionRestored) {
         // If no cached session, check for URL username parameter
         fileBrowser.initializeFromURL();
+        fileBrowser.renderVaultSwitcher();
     }
 });
@@ -0,0 +1,175 @@
+/**
+ * GitHub contents API client for Zephyrus pages
+ * Commits encrypted files to the vault repository with a user-supplied token, and reads
+ * the vault's history (without a token for public repositories).
+ * The API base and fetch are configurable so it can run against GitHub Enterprise
+ * or a local mock server (e.g. http://localhost:8080/api).
+ */
+
+class GitHubAPIError extends ZephyrusError {
+    constructor(message, status) {
+        super(message, { status: status });
+        this.name = 'GitHubAPIError';
+    }
+}
+
+class GitHubAPI {
+    /**
+     * Options: { owner, repo, branch, apiBase, fetch }
+     * The token may be null for reading; every change needs one
+     */
+    constructor(token, options = {}) {
+        this.token = token || null;
+        this.owner = options.owner;
+        this.repo = options.repo || STORAGE.DEFAULT_REPO;
+        this.branch = options.branch || STORAGE.DEFAULT_BRANCH;
+        this.apiBase = (options.apiBase || GitHubAPI.DEFAULT_API_BASE).replace(/\/+$/, '');
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Send an API request and return the parsed JSON body
+     * Throws RateLimitedError, NotFoundError, NetworkError or GitHubAPIError, all with the status
+     */
+    async request(method, path, body) {
+        if (!this.token && method !== 'GET') {
+            throw new Error('A GitHub token is required to change the vault');
+        }
+        const response = await STORAGE.fetchWithRetry(this.fetch, `${this.apiBase}${path}`, {
+            method: method,
+            headers: {
+                'Accept': 'application/vnd.github+json',
+                ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {}),
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const limit = ERRORS.rateLimitOf(response, data.message);
+            if (limit) {
+                const anonymous = this.token ? '' : ' Requests without a token have a low limit; entering one raises it.';
+                throw new RateLimitedError(`GitHub's API rate limit was reached.${anonymous}`, { status: response.status, resetAt: limit.resetAt });
+            }
+            const message = this.describeError(response.status, data.message);
+            if (response.status === 404) {
+                throw new NotFoundError(message, { status: 404 });
+            }
+            if (response.status >= 500) {
+                throw new NetworkError(message, { status: response.status });
+            }
+            throw new GitHubAPIError(message, response.status);
+        }
+        return data;
+    }
+
+    describeError(status, message) {
+        switch (status) {
+            case 401: return 'GitHub rejected the token. Check that it is valid and not expired.';
+            case 403: return `GitHub refused the request${message ? ': ' + message : ''}. The token may lack write access to the vault repository.`;
+            case 404: return `Repository ${this.owner}/${this.repo} or branch ${this.branch} not found, or the token cannot see it.`;
+            case 409:
+            case 422: return `The vault changed while saving${message ? ' (' + message + ')' : ''}. Try again.`;
+            default: return `GitHub API error ${status}${message ? ': ' + message : ''}`;
+        }
+    }
+
+    repoPath() {
+        return `/repos/${encodeURIComponent(this.owner)}/${encodeURIComponent(this.repo)}`;
+    }
+
+    contentsPath(path) {
+        const encoded = STORAGE.cleanPath(path).split('/').map(encodeURIComponent).join('/');
+        return `${this.repoPath()}/contents/${encoded}`;
+    }
+
+    /**
+     * Read a file from the branch, or from a commit sha: { sha, bytes }, or null if it does not exist
+     */
+    async getFile(path, ref = this.branch) {
+        try {
+            const data = await this.request('GET', `${this.contentsPath(path)}?ref=${encodeURIComponent(ref)}`);
+            // Files over 1 MB come back without inline content
+            const bytes = data.content ? GitHubAPI.base64ToBytes(data.content) : await this.getBlob(data.sha);
+            return { sha: data.sha, bytes: bytes };
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async getBlob(sha) {
+        const data = await this.request('GET', `${this.repoPath()}/git/blobs/${sha}`);
+        return GitHubAPI.base64ToBytes(data.content);
+    }
+
+    /**
+     * Commits on the branch that changed a path, newest first, one page at a time
+     * Returns [{ sha, message, author, date }] with date in milliseconds since the epoch
+     */
+    async listCommits(path, { page = 1, perPage = 30 } = {}) {
+        const query = new URLSearchParams({ sha: this.branch, path: STORAGE.cleanPath(path), per_page: perPage, page: page });
+        const data = await this.request('GET', `${this.repoPath()}/commits?${query}`);
+        if (!Array.isArray(data)) {
+            throw new GitHubAPIError('GitHub returned an unexpected commit list', 200);
+        }
+        return data.map(item => {
+            const commit = item.commit || {};
+            const author = commit.author || {};
+            const date = new Date((commit.committer && commit.committer.date) || author.date).getTime();
+            return {
+                sha: item.sha,
+                message: commit.message || '',
+                author: author.name || (item.author && item.author.login) || '',
+                date: Number.isFinite(date) ? date : null
+            };
+        });
+    }
+
+    /**
+     * Create or update a file on the branch; sha is required when updating
+     * Returns the new blob sha
+     */
+    async putFile(path, bytes, message, sha) {
+        const body = {
+            message: message,
+            content: GitHubAPI.bytesToBase64(bytes),
+            branch: this.branch
+        };
+        if (sha) body.sha = sha;
+        const data = await this.request('PUT', this.contentsPath(path), body);
+        return data.content ? data.content.sha : null;
+    }
+
+    /**
+     * Delete a file from the branch
+     */
+    async deleteFile(path, message, sha) {
+        await this.request('DELETE', this.contentsPath(path), { message: message, sha: sha, branch: this.branch });
+    }
+}
+
+GitHubAPI.DEFAULT_API_BASE = 'https://api.github.com';
+
+GitHubAPI.bytesToBase64 = function (bytes) {
+    const view = new Uint8Array(bytes.buffer || bytes, bytes.byteOffset || 0, bytes.byteLength);
+    let binary = '';
+    // Convert in slices to stay under the argument limit of fromCharCode
+    for (let i = 0; i < view.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, view.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+GitHubAPI.base64ToBytes = function (base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+globalThis.GitHubAPIError = GitHubAPIError;
+globalThis.GitHubAPI = GitHubAPI;
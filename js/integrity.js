@@ -0,0 +1,237 @@
+/**
+ * Integrity checks for Zephyrus pages
+ * SHA-256 content hashes of decrypted files (checked as they stream) and Ed25519 signatures
+ * over the encrypted index, with a per-vault trust record so rollbacks can be noticed
+ */
+
+const INTEGRITY = {
+    SIGNATURE_PATH: '.config/index.sig',
+    SIGNING_KEY_PATH: '.config/signing-key',
+    SIGNATURE_VERSION: 1,
+    TRUST_KEY: 'zephyrus_index_trust',
+
+    // SHA-256 round constants
+    K: new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]),
+
+    /**
+     * SHA-256 of a whole buffer, as lowercase hex
+     */
+    async sha256(data) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+        return CRYPTO.bufferToHex(new Uint8Array(digest));
+    },
+
+    /**
+     * Incremental SHA-256 (WebCrypto can only hash a complete buffer)
+     * Returns { update(bytes), digest() } where digest() gives lowercase hex
+     */
+    createHasher() {
+        const K = this.K;
+        const state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const w = new Uint32Array(64);
+        const block = new Uint8Array(64);
+        let blockLength = 0;
+        let totalLength = 0;
+
+        const compress = (bytes, offset) => {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const a = w[i - 15];
+                const b = w[i - 2];
+                const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+                const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = state;
+            for (let i = 0; i < 64; i++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+            state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+        };
+
+        return {
+            update(data) {
+                const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+                let offset = 0;
+                totalLength += bytes.length;
+
+                if (blockLength > 0) {
+                    const take = Math.min(64 - blockLength, bytes.length);
+                    block.set(bytes.subarray(0, take), blockLength);
+                    blockLength += take;
+                    offset = take;
+                    if (blockLength < 64) return;
+                    compress(block, 0);
+                    blockLength = 0;
+                }
+                for (; offset + 64 <= bytes.length; offset += 64) {
+                    compress(bytes, offset);
+                }
+                block.set(bytes.subarray(offset), 0);
+                blockLength = bytes.length - offset;
+            },
+
+            digest() {
+                // Padding: 0x80, zeros, then the message length in bits as 64-bit big-endian
+                const bitLength = totalLength * 8;
+                const padding = new Uint8Array((blockLength < 56 ? 64 : 128) - blockLength);
+                padding[0] = 0x80;
+                const view = new DataView(padding.buffer);
+                view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+                view.setUint32(padding.length - 4, bitLength >>> 0);
+                this.update(padding);
+
+                const out = new Uint8Array(32);
+                const outView = new DataView(out.buffer);
+                state.forEach((word, i) => outView.setUint32(i * 4, word));
+                return CRYPTO.bufferToHex(out);
+            }
+        };
+    },
+
+    /**
+     * Pass-through stream that hashes decrypted bytes and, at the end, errors the stream if
+     * they don't match expectedHash. onVerified() is called when they do.
+     * Without an expected hash (files indexed before hashes were recorded) it only passes data on.
+     */
+    createVerifyStream(expectedHash, onVerified = () => {}) {
+        if (!expectedHash) {
+            return new TransformStream();
+        }
+        const hasher = this.createHasher();
+        return new TransformStream({
+            transform(chunk, controller) {
+                hasher.update(chunk);
+                controller.enqueue(chunk);
+            },
+            flush(controller) {
+                const actual = hasher.digest();
+                if (actual !== String(expectedHash).toLowerCase()) {
+                    controller.error(new CorruptDataError('Integrity check failed: the decrypted file does not match the hash in the index. The stored file may have been replaced.'));
+                    return;
+                }
+                onVerified(actual);
+            }
+        });
+    },
+
+    /**
+     * Whether this browser can create and check Ed25519 signatures
+     */
+    async isSigningSupported() {
+        try {
+            await globalThis.crypto.subtle.importKey('raw', new Uint8Array(32), { name: 'Ed25519' }, false, ['verify']);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * New signing key pair: { privateKey (PKCS#8 hex), publicKey (raw hex) }
+     */
+    async generateSigningKey() {
+        let pair;
+        try {
+            pair = await globalThis.crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+        } catch (error) {
+            throw new Error('This browser does not support Ed25519 signatures');
+        }
+        const privateKey = new Uint8Array(await globalThis.crypto.subtle.exportKey('pkcs8', pair.privateKey));
+        const publicKey = new Uint8Array(await globalThis.crypto.subtle.exportKey('raw', pair.publicKey));
+        return { privateKey: CRYPTO.bufferToHex(privateKey), publicKey: CRYPTO.bufferToHex(publicKey) };
+    },
+
+    /**
+     * The bytes a signature covers: its sequence number and time, and the encrypted index's hash
+     */
+    signedMessage(signature) {
+        return new TextEncoder().encode(`zephyrus-index-signature:v${signature.version}:${signature.sequence}:${signature.signed_at}:${signature.index_sha256}`);
+    },
+
+    /**
+     * Sign the encrypted index bytes. signingKey is { privateKey, publicKey } from generateSigningKey()
+     * Returns the signature record stored at SIGNATURE_PATH
+     */
+    async signIndex(encryptedIndex, signingKey, sequence) {
+        const privateKey = await globalThis.crypto.subtle.importKey('pkcs8', CRYPTO.hexToBuffer(signingKey.privateKey), { name: 'Ed25519' }, false, ['sign']);
+        const signature = {
+            version: this.SIGNATURE_VERSION,
+            algorithm: 'Ed25519',
+            public_key: signingKey.publicKey,
+            sequence: sequence,
+            signed_at: new Date().toISOString(),
+            index_sha256: await this.sha256(encryptedIndex)
+        };
+        const bytes = await globalThis.crypto.subtle.sign({ name: 'Ed25519' }, privateKey, this.signedMessage(signature));
+        signature.signature = CRYPTO.bufferToHex(new Uint8Array(bytes));
+        return signature;
+    },
+
+    /**
+     * Check a signature record against the encrypted index bytes it should cover
+     */
+    async verifyIndexSignature(encryptedIndex, signature) {
+        if (!signature || signature.algorithm !== 'Ed25519' || !signature.public_key || !signature.signature) {
+            return false;
+        }
+        if (await this.sha256(encryptedIndex) !== signature.index_sha256) {
+            return false;
+        }
+        const publicKey = await globalThis.crypto.subtle.importKey('raw', CRYPTO.hexToBuffer(signature.public_key), { name: 'Ed25519' }, false, ['verify']);
+        return globalThis.crypto.subtle.verify({ name: 'Ed25519' }, publicKey, CRYPTO.hexToBuffer(signature.signature), this.signedMessage(signature));
+    },
+
+    /**
+     * Trusted signing key and highest sequence seen for a vault (keyed by index URL), or null
+     * Only public data is kept, in localStorage or any object with the same getItem/setItem
+     */
+    getTrust(vaultURL, storage = globalThis.localStorage) {
+        if (!storage) return null;
+        try {
+            const all = JSON.parse(storage.getItem(this.TRUST_KEY)) || {};
+            return all[vaultURL] || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    setTrust(vaultURL, trust, storage = globalThis.localStorage) {
+        if (!storage) return;
+        let all;
+        try {
+            all = JSON.parse(storage.getItem(this.TRUST_KEY)) || {};
+        } catch (e) {
+            all = {};
+        }
+        if (trust) {
+            all[vaultURL] = trust;
+        } else {
+            delete all[vaultURL];
+        }
+        storage.setItem(this.TRUST_KEY, JSON.stringify(all));
+    }
+};
+
+globalThis.INTEGRITY = INTEGRITY;
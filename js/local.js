@@ -0,0 +1,96 @@
+/**
+ * Local vault files for Zephyrus pages
+ * Collects files chosen with a file or folder picker, or dropped on the page, into the path
+ * map read by STORAGE's local backend, so a cloned repository or a backup opens offline
+ */
+
+const LOCAL = {
+    INDEX_PATH: '.config/index',
+
+    /**
+     * Files from an <input type="file">, with their path inside a chosen folder: [{ path, file }]
+     */
+    fromFileList(fileList) {
+        return Array.from(fileList, file => ({ path: file.webkitRelativePath || file.name, file }));
+    },
+
+    /**
+     * Files from a drop, walking into dropped folders: [{ path, file }]
+     */
+    async fromDataTransfer(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+        if (entries.length === 0 || entries.some(entry => !entry)) {
+            return this.fromFileList(dataTransfer.files);
+        }
+
+        const found = [];
+        for (const entry of entries) {
+            await this.walkEntry(entry, '', found);
+        }
+        return found;
+    },
+
+    async walkEntry(entry, prefix, found) {
+        const path = prefix + entry.name;
+        if (entry.isFile) {
+            found.push({ path, file: await new Promise((resolve, reject) => entry.file(resolve, reject)) });
+            return;
+        }
+        // Git metadata of a cloned vault is never needed
+        if (entry.name === '.git') return;
+
+        const reader = entry.createReader();
+        // readEntries returns a folder's entries in batches, then an empty one
+        while (true) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            for (const child of batch) {
+                await this.walkEntry(child, `${path}/`, found);
+            }
+        }
+    },
+
+    /**
+     * Turn collected files into { files, folder, hasIndex } for STORAGE.createBackend()
+     * Paths become relative to the folder holding .config/index, or to the one chosen folder
+     */
+    createFolder(found) {
+        const indexPaths = found
+            .map(({ path }) => path)
+            .filter(path => path === this.INDEX_PATH || path.endsWith(`/${this.INDEX_PATH}`))
+            .sort((a, b) => a.length - b.length);
+
+        let root = '';
+        if (indexPaths.length > 0) {
+            root = indexPaths[0].slice(0, -this.INDEX_PATH.length);
+        } else {
+            const tops = new Set(found.map(({ path }) => path.includes('/') ? path.split('/')[0] : ''));
+            if (tops.size === 1 && !tops.has('')) root = `${Array.from(tops)[0]}/`;
+        }
+
+        const files = new Map();
+        for (const { path, file } of found) {
+            if (!path.startsWith(root)) continue;
+            const relative = path.slice(root.length);
+            if (!relative || relative.startsWith('.git/')) continue;
+            files.set(relative, file);
+        }
+
+        // Named after the chosen folder, or the file when only one was chosen
+        let folder = root.replace(/\/$/, '').split('/').pop();
+        if (!folder && files.size === 1) {
+            folder = Array.from(files.keys())[0];
+        }
+        return { files, folder, hasIndex: files.has(this.INDEX_PATH) };
+    },
+
+    /**
+     * Short description of a collection, e.g. "zephyrus: 42 files, vault index found"
+     */
+    describe({ files, folder, hasIndex }) {
+        const count = `${files.size} file${files.size === 1 ? '' : 's'}`;
+        return `${folder ? `${folder}: ` : ''}${count}${hasIndex ? ', vault index found' : ''}`;
+    }
+};
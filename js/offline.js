@@ -0,0 +1,182 @@
+/**
+ * Offline copies of vault data for Zephyrus pages
+ * Keeps the encrypted index and pinned encrypted file blobs in Cache Storage, still as
+ * ciphertext, so a previously unlocked vault can be browsed and pinned files decrypted offline
+ */
+
+const OFFLINE = {
+    CACHE_NAME: 'zephyrus-vault-data',
+    KIND_HEADER: 'X-Zephyrus-Kind',
+    CACHED_AT_HEADER: 'X-Zephyrus-Cached-At',
+
+    /**
+     * Whether Cache Storage is usable on this page (it needs a secure context)
+     */
+    isAvailable() {
+        return typeof caches !== 'undefined';
+    },
+
+    async open() {
+        return this.isAvailable() ? caches.open(this.CACHE_NAME) : null;
+    },
+
+    /**
+     * Backends that are never cached: chosen local files are already on this device, and
+     * an earlier commit is only looked at, not kept
+     */
+    readsThrough(backend) {
+        return backend.type === 'local' || backend.type === 'commit';
+    },
+
+    /**
+     * Fetch a vault path from the network and keep a copy, falling back to the copy when the
+     * network is unreachable or answers with an error other than 404 (a failing mirror or
+     * proxy, a captive portal). Used for the index files.
+     * The returned response has `fromCache` set when it came from the offline copy.
+     */
+    async fetchIndex(backend, path, kind = 'index') {
+        if (this.readsThrough(backend)) {
+            return backend.fetch(path);
+        }
+        const url = backend.resolve(path);
+        let response;
+        try {
+            response = await backend.fetch(path);
+        } catch (error) {
+            const cached = await this.match(url);
+            if (cached) return cached;
+            throw error;
+        }
+
+        if (response.ok) {
+            await this.store(url, response.clone(), kind);
+        } else if (response.status !== 404) {
+            // 404 means the file is gone; the copy would only hide that
+            const cached = await this.match(url);
+            if (cached) return cached;
+        }
+        return response;
+    },
+
+    /**
+     * Fetch an encrypted file, served from the offline copy if it has been pinned
+     */
+    async fetchFile(backend, path, init) {
+        if (this.readsThrough(backend)) {
+            return backend.fetch(path, init);
+        }
+        const cached = await this.match(backend.resolve(path));
+        if (cached) return cached;
+        try {
+            return await backend.fetch(path, init);
+        } catch (error) {
+            if (error.name === 'AbortError' || typeof navigator === 'undefined' || navigator.onLine !== false) throw error;
+            throw new NetworkError('You are offline and this file is not pinned. Pin files while online to open them offline.', { cause: error });
+        }
+    },
+
+    /**
+     * Download an encrypted file and keep it offline
+     */
+    async pin(backend, path, init) {
+        if (backend.type === 'local') {
+            throw new Error('Files opened from this device are already available offline');
+        }
+        if (backend.type === 'commit') {
+            throw new Error('Earlier versions of files cannot be pinned');
+        }
+        const response = await backend.fetch(path, init);
+        if (!response.ok) {
+            throw ERRORS.fromResponse(response, 'the file', `The encrypted file is missing from the vault (${response.status})`);
+        }
+        await this.store(backend.resolve(path), response, 'file');
+    },
+
+    /**
+     * Remove one offline copy by URL
+     */
+    async evict(url) {
+        const cache = await this.open();
+        return cache ? cache.delete(url) : false;
+    },
+
+    /**
+     * Remove every offline copy, or only those under a URL prefix (one vault)
+     */
+    async clear(prefix = '') {
+        const cache = await this.open();
+        if (!cache) return;
+        for (const request of await cache.keys()) {
+            if (request.url.startsWith(prefix)) {
+                await cache.delete(request);
+            }
+        }
+    },
+
+    /**
+     * List offline copies: [{ url, kind, size, cachedAt }]
+     */
+    async list() {
+        const cache = await this.open();
+        if (!cache) return [];
+
+        const entries = [];
+        for (const request of await cache.keys()) {
+            const response = await cache.match(request);
+            if (!response) continue;
+            entries.push({
+                url: request.url,
+                kind: response.headers.get(this.KIND_HEADER) || 'file',
+                size: Number(response.headers.get('Content-Length')) || 0,
+                cachedAt: Number(response.headers.get(this.CACHED_AT_HEADER)) || null
+            });
+        }
+        return entries;
+    },
+
+    /**
+     * URLs of pinned files, for quick lookups while rendering
+     */
+    async pinnedURLs() {
+        const entries = await this.list();
+        return new Set(entries.filter(e => e.kind === 'file').map(e => e.url));
+    },
+
+    /**
+     * Storage used and available for this site, or null if the browser can't tell
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        return navigator.storage.estimate();
+    },
+
+    async match(url) {
+        const cache = await this.open();
+        if (!cache) return null;
+        const response = await cache.match(url);
+        if (response) {
+            response.fromCache = true;
+        }
+        return response || null;
+    },
+
+    /**
+     * Store a response body with the metadata the cache UI shows
+     */
+    async store(url, response, kind) {
+        const cache = await this.open();
+        if (!cache) return;
+
+        const body = await response.arrayBuffer();
+        await cache.put(url, new Response(body, {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': String(body.byteLength),
+                [this.KIND_HEADER]: kind,
+                [this.CACHED_AT_HEADER]: String(Date.now())
+            }
+        }));
+    }
+};
+
+globalThis.OFFLINE = OFFLINE;
@@ -0,0 +1,70 @@
+/**
+ * Saved vault profiles for Zephyrus pages
+ * A profile is a display name, username and storage options (never a password), kept in
+ * localStorage so switching between vaults doesn't mean retyping them
+ */
+
+const PROFILES = {
+    STORAGE_KEY: 'zephyrus_profiles',
+
+    /**
+     * Identity of a vault: the URL its files are read from, so the same username on two
+     * backends is two vaults. Null if the options are incomplete.
+     */
+    keyFor(username, storageOptions = {}) {
+        if (!username) return null;
+        try {
+            return STORAGE.createBackend(username, storageOptions).resolve('');
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Saved profiles, sorted by display name: [{ key, name, username, storageOptions }]
+     */
+    list() {
+        let profiles;
+        try {
+            profiles = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+        } catch (e) {
+            profiles = [];
+        }
+        return profiles
+            .filter(profile => profile && profile.key && profile.username)
+            .sort((a, b) => this.displayName(a).localeCompare(this.displayName(b)));
+    },
+
+    get(key) {
+        return this.list().find(profile => profile.key === key) || null;
+    },
+
+    /**
+     * Add or update the profile for a vault; an empty name keeps the one already saved
+     */
+    save({ name, username, storageOptions }) {
+        const key = this.keyFor(username, storageOptions);
+        if (!key) {
+            throw new Error('A profile needs a username and complete storage options');
+        }
+        const profiles = this.list().filter(profile => profile.key !== key);
+        const previous = this.get(key);
+        const profile = {
+            key: key,
+            name: name || (previous ? previous.name : ''),
+            username: username,
+            storageOptions: storageOptions
+        };
+        profiles.push(profile);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(profiles));
+        return profile;
+    },
+
+    remove(key) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.list().filter(profile => profile.key !== key)));
+    },
+
+    displayName(profile) {
+        return profile.name || profile.username;
+    }
+};
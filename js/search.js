@@ -0,0 +1,153 @@
+/**
+ * Vault-wide search for Zephyrus pages
+ * Fuzzy filename matching with type, extension and size filters over the decrypted index
+ */
+
+const SEARCH = {
+    MAX_RESULTS: 200,
+
+    TYPE_GROUPS: {
+        image: { label: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'ico', 'heic', 'tiff'] },
+        document: { label: 'Documents', extensions: ['pdf', 'txt', 'md', 'doc', 'docx', 'odt', 'rtf', 'csv', 'tsv', 'xls', 'xlsx', 'ods', 'ppt', 'pptx', 'odp', 'epub'] },
+        code: { label: 'Code', extensions: ['js', 'mjs', 'ts', 'tsx', 'jsx', 'json', 'html', 'htm', 'css', 'xml', 'py', 'go', 'rs', 'java', 'c', 'h', 'cpp', 'cs', 'rb', 'php', 'sh', 'sql', 'yaml', 'yml', 'toml', 'ini'] },
+        media: { label: 'Audio & Video', extensions: ['mp3', 'wav', 'flac', 'ogg', 'm4a', 'aac', 'mp4', 'mkv', 'mov', 'avi', 'webm'] },
+        archive: { label: 'Archives', extensions: ['zip', 'tar', 'gz', 'tgz', '7z', 'rar', 'bz2', 'xz'] }
+    },
+
+    SIZE_UNITS: { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 },
+
+    /**
+     * Build a flat, searchable list of every file and folder in a vault
+     */
+    buildIndex(vault) {
+        const { files, folders } = vault.getFilesUnder('');
+        const entries = [];
+
+        for (const folder of folders) {
+            if (!folder) continue;
+            entries.push({ type: 'directory', name: folder.split('/').pop(), path: folder, ext: '', size: null, item: { type: 'directory', path: folder } });
+        }
+        for (const file of files) {
+            entries.push({ type: 'file', name: file.name, path: file.path, ext: this.getExtension(file.name), size: file.size || null, item: file });
+        }
+        return entries;
+    },
+
+    /**
+     * Parse a query string; "ext:pdf,png" tokens become an extension filter
+     */
+    parseQuery(query) {
+        const terms = [];
+        const extensions = [];
+        for (const token of query.trim().split(/\s+/).filter(t => t)) {
+            const ext = token.match(/^ext:(.+)$/i);
+            if (ext) {
+                extensions.push(...ext[1].toLowerCase().split(',').map(e => e.replace(/^\./, '')).filter(e => e));
+            } else {
+                terms.push(token.toLowerCase());
+            }
+        }
+        return { terms, extensions };
+    },
+
+    /**
+     * Search the index
+     * Options: { query, type, minSize, maxSize } - sizes in bytes or null
+     * Returns { results, total }: the best MAX_RESULTS sorted by score, each { entry, score,
+     * nameIndices }, and how many matched in all
+     */
+    search(index, options) {
+        const { terms, extensions } = this.parseQuery(options.query || '');
+        const group = options.type ? this.TYPE_GROUPS[options.type] : null;
+        const fileFiltersActive = group || extensions.length > 0 || options.minSize != null || options.maxSize != null;
+        const results = [];
+
+        for (const entry of index) {
+            if (entry.type === 'directory') {
+                // Folders only show up for plain name searches
+                if (fileFiltersActive || terms.length === 0) continue;
+            } else {
+                if (group && !group.extensions.includes(entry.ext)) continue;
+                if (extensions.length > 0 && !extensions.includes(entry.ext)) continue;
+                if (options.minSize != null && (entry.size == null || entry.size < options.minSize)) continue;
+                if (options.maxSize != null && (entry.size == null || entry.size > options.maxSize)) continue;
+            }
+
+            let score = 0;
+            const nameIndices = new Set();
+            let matched = true;
+            for (const term of terms) {
+                const nameMatch = this.fuzzyMatch(term, entry.name);
+                if (nameMatch) {
+                    // Matches in the filename count more than matches elsewhere in the path
+                    score += nameMatch.score + 10;
+                    nameMatch.indices.forEach(i => nameIndices.add(i));
+                    continue;
+                }
+                const pathMatch = this.fuzzyMatch(term, entry.path);
+                if (!pathMatch) {
+                    matched = false;
+                    break;
+                }
+                score += pathMatch.score;
+            }
+            if (!matched) continue;
+
+            results.push({ entry, score, nameIndices: Array.from(nameIndices).sort((a, b) => a - b) });
+        }
+
+        results.sort((a, b) => b.score - a.score || a.entry.path.localeCompare(b.entry.path));
+        return { results: results.slice(0, this.MAX_RESULTS), total: results.length };
+    },
+
+    /**
+     * Fuzzy subsequence match of a lowercase term against text
+     * Returns { score, indices } or null; consecutive characters, word starts
+     * and plain substrings score higher
+     */
+    fuzzyMatch(term, text) {
+        const lower = text.toLowerCase();
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        let previous = -2;
+
+        const substring = lower.indexOf(term);
+        if (substring !== -1) {
+            for (let i = 0; i < term.length; i++) indices.push(substring + i);
+            const atWordStart = substring === 0 || /[\s/_\-.]/.test(lower[substring - 1]);
+            return { score: 20 + term.length * 6 + (atWordStart ? 10 : 0), indices };
+        }
+
+        for (const ch of term) {
+            const found = lower.indexOf(ch, from);
+            if (found === -1) return null;
+            score += 1;
+            if (found === previous + 1) score += 5;
+            if (found === 0 || /[\s/_\-.]/.test(lower[found - 1])) score += 3;
+            indices.push(found);
+            previous = found;
+            from = found + 1;
+        }
+
+        // Prefer compact matches
+        score -= (indices[indices.length - 1] - indices[0]) * 0.1;
+        return { score, indices };
+    },
+
+    /**
+     * Parse a human size like "10MB", "500k" or "2048" into bytes (null if empty or invalid)
+     */
+    parseSize(text) {
+        const match = String(text || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/);
+        if (!match) return null;
+        let unit = match[2] || 'b';
+        if (unit.length === 1 && unit !== 'b') unit += 'b';
+        return Math.round(parseFloat(match[1]) * this.SIZE_UNITS[unit]);
+    },
+
+    getExtension(filename) {
+        const name = filename.toLowerCase();
+        return name.includes('.') ? name.split('.').pop() : '';
+    }
+};
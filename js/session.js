@@ -0,0 +1,164 @@
+/**
+ * Vault sessions for Zephyrus pages
+ * Keeps only non-extractable key material (never the password) in IndexedDB so a reload can
+ * reopen the vault, and handles auto-lock settings
+ */
+
+const SESSION = {
+    DB_NAME: 'zephyrus',
+    DB_VERSION: 1,
+    STORE: 'sessions',
+    SESSION_ID_KEY: 'vault_session',
+
+    // Sessions untouched for this long are discarded even with auto-lock disabled
+    MAX_AGE: 12 * 60 * 60 * 1000,
+
+    SETTINGS_KEY: 'zephyrus_lock_settings',
+    DEFAULT_SETTINGS: {
+        idleMinutes: 15,
+        lockOnHidden: false
+    },
+
+    db: null,
+
+    /**
+     * Open (and create if needed) the session database; resolves to null if IndexedDB is unavailable
+     */
+    open() {
+        if (this.db) return this.db;
+
+        this.db = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            const request = window.indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    db.createObjectStore(this.STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, sessions will not survive a reload:', request.error);
+                resolve(null);
+            };
+        });
+        return this.db;
+    },
+
+    /**
+     * Run a single request against the sessions store
+     */
+    async request(mode, run) {
+        const db = await this.open();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const request = run(transaction.objectStore(this.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Save a session for this tab: { vaults: [{ username, storageOptions, passwordKey }], active }
+     * Each passwordKey must be a non-extractable CryptoKey
+     */
+    async save(record) {
+        let id = sessionStorage.getItem(this.SESSION_ID_KEY);
+        if (!id) {
+            id = CRYPTO.bufferToHex(window.crypto.getRandomValues(new Uint8Array(16)));
+            sessionStorage.setItem(this.SESSION_ID_KEY, id);
+        }
+        try {
+            await this.request('readwrite', store => store.put({ ...record, id: id, lastActive: Date.now() }));
+        } catch (error) {
+            console.warn('Could not persist session:', error);
+        }
+    },
+
+    /**
+     * Load this tab's session, or null if there is none or it has expired
+     */
+    async load() {
+        const id = sessionStorage.getItem(this.SESSION_ID_KEY);
+        if (!id) return null;
+
+        let record = null;
+        try {
+            record = await this.request('readonly', store => store.get(id));
+        } catch (error) {
+            console.warn('Could not read session:', error);
+        }
+        if (!record) return null;
+
+        if (this.isExpired(record)) {
+            await this.clear();
+            return null;
+        }
+        return record;
+    },
+
+    /**
+     * Record activity so the session does not expire while in use
+     */
+    async touch() {
+        const record = await this.load();
+        if (record) {
+            await this.save(record);
+        }
+    },
+
+    /**
+     * Delete this tab's session
+     */
+    async clear() {
+        const id = sessionStorage.getItem(this.SESSION_ID_KEY);
+        sessionStorage.removeItem(this.SESSION_ID_KEY);
+        if (!id) return;
+        try {
+            await this.request('readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn('Could not delete session:', error);
+        }
+    },
+
+    /**
+     * Delete expired sessions left behind by closed tabs
+     */
+    async purgeExpired() {
+        try {
+            const records = await this.request('readonly', store => store.getAll());
+            for (const record of records || []) {
+                if (this.isExpired(record)) {
+                    await this.request('readwrite', store => store.delete(record.id));
+                }
+            }
+        } catch (error) {
+            console.warn('Could not purge sessions:', error);
+        }
+    },
+
+    isExpired(record) {
+        const idle = Date.now() - (record.lastActive || 0);
+        const { idleMinutes } = this.getSettings();
+        return idle > this.MAX_AGE || (idleMinutes > 0 && idle > idleMinutes * 60 * 1000);
+    },
+
+    /**
+     * Auto-lock settings (not secret, kept in localStorage)
+     */
+    getSettings() {
+        try {
+            return { ...this.DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(this.SETTINGS_KEY)) };
+        } catch (e) {
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    },
+
+    saveSettings(settings) {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify({ ...this.getSettings(), ...settings }));
+    }
+};
@@ -0,0 +1,109 @@
+/**
+ * Share link helpers for Zephyrus pages
+ * Share strings and availability windows (not_before / expires_at), used by the vault
+ * browser and the share page
+ */
+
+const SHARES = {
+    /**
+     * Parse the share string from a link's fragment. Formats:
+     *   username:reference:password[:base64filename]   password travels in the link
+     *   username:reference                             password is asked for on the page
+     * Returns { username, reference, password, fileName } (password and fileName may be null)
+     */
+    parseShareString(shareString) {
+        const parts = String(shareString || '').split(':');
+        if (parts.length !== 2 && parts.length !== 3 && parts.length !== 4) {
+            throw new Error('Invalid share string format.');
+        }
+
+        const [username, reference, password, encodedFileName] = parts;
+        if (!username || !reference || (parts.length > 2 && !password)) {
+            throw new Error('Invalid share string - missing components.');
+        }
+
+        let fileName = null;
+        if (encodedFileName) {
+            try {
+                const decodedBytes = Uint8Array.from(atob(encodedFileName), c => c.charCodeAt(0));
+                fileName = new TextDecoder().decode(decodedBytes);
+            } catch (e) {
+                console.warn('Could not decode filename:', e);
+            }
+        }
+        return { username, reference, password: password || null, fileName };
+    },
+
+    /**
+     * Build a share string; without a password only username and reference are included
+     */
+    formatShareString(username, reference, password, fileName) {
+        if (!password) {
+            return `${username}:${reference}`;
+        }
+        const bytes = new TextEncoder().encode(fileName || '');
+        const encodedFileName = btoa(String.fromCharCode(...bytes));
+        return `${username}:${reference}:${password}:${encodedFileName}`;
+    },
+
+    /**
+     * Read a decrypted share pointer: { storageID, fileKey (hex), name, sha256, compression, note, not_before, expires_at }
+     * Returns the pointer fields plus `key`, the file key as 32 raw bytes
+     */
+    parsePointer(decryptedPointer) {
+        let pointer;
+        try {
+            pointer = JSON.parse(new TextDecoder().decode(decryptedPointer));
+        } catch (e) {
+            throw new CorruptDataError(`Invalid pointer data: ${e.message}. Share may be corrupted or using old format.`);
+        }
+
+        if (!pointer || !pointer.storageID || !pointer.fileKey) {
+            throw new CorruptDataError('Invalid share pointer - missing storageID or fileKey.');
+        }
+
+        // The file key is stored as raw hex bytes in the pointer (not encrypted)
+        if (!/^[0-9a-f]{64}$/i.test(String(pointer.fileKey))) {
+            throw new CorruptDataError(`Failed to parse file key: expected 32 hex-encoded bytes, got ${String(pointer.fileKey).length / 2}`);
+        }
+        return { ...pointer, key: CRYPTO.hexToBuffer(pointer.fileKey) };
+    },
+
+    /**
+     * Read a share's availability window from a pointer or shared index entry
+     * Returns { status: 'active' | 'pending' | 'expired', notBefore, expiresAt } (Dates or null)
+     */
+    getWindow(entry, now = Date.now()) {
+        const notBefore = this.parseDate(entry.not_before || entry.NotBefore);
+        const expiresAt = this.parseDate(entry.expires_at || entry.ExpiresAt);
+
+        let status = 'active';
+        if (expiresAt && now >= expiresAt.getTime()) {
+            status = 'expired';
+        } else if (notBefore && now < notBefore.getTime()) {
+            status = 'pending';
+        }
+        return { status, notBefore, expiresAt };
+    },
+
+    parseDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Short human-readable duration, e.g. "3d 4h", "2h 15m", "5m"
+     */
+    formatDuration(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const rest = minutes % 60;
+        if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+        if (hours > 0) return rest > 0 ? `${hours}h ${rest}m` : `${hours}h`;
+        return `${rest}m`;
+    }
+};
+
+globalThis.SHARES = SHARES;
@@ -0,0 +1,188 @@
+/**
+ * Vault statistics for Zephyrus pages
+ * Sizes, counts and type breakdown computed from the normalized index, and a squarified
+ * treemap layout of folder sizes for the dashboard
+ */
+
+const STATS = {
+    LARGEST_COUNT: 10,
+
+    /**
+     * Summarize a VaultIndex and the shared index entries
+     * Returns { totalSize, fileCount, folderCount, unknownSizes, types, largest, tree, shared }
+     * tree is the root folder: { name, path, size, fileCount, ownSize, ownFiles, shared, children }
+     */
+    compute(index, sharedFiles = [], now = Date.now()) {
+        const types = new Map();
+        const files = [];
+        const folders = new Map();
+        const tree = this.summarizeFolder(index.root, types, files, folders);
+
+        const shared = { total: 0, active: 0, pending: 0, expired: 0, separatePassword: 0, missing: 0 };
+        for (const entry of sharedFiles) {
+            shared.total++;
+            shared[SHARES.getWindow(entry, now).status]++;
+            if (entry.password_separate) shared.separatePassword++;
+
+            // Count each share against the folders above the file it was made from
+            const originalPath = String(entry.original_path || entry.OriginalPath || '');
+            if (!index.findFile(originalPath)) {
+                shared.missing++;
+                continue;
+            }
+            const parts = originalPath.split('/').filter(p => p).slice(0, -1);
+            for (let depth = 0; depth <= parts.length; depth++) {
+                folders.get(parts.slice(0, depth).join('/')).shared++;
+            }
+        }
+
+        return {
+            totalSize: tree.size,
+            fileCount: tree.fileCount,
+            folderCount: folders.size - 1,
+            unknownSizes: files.filter(file => file.size === null).length,
+            types: Array.from(types.values())
+                .map(type => ({ ...type, topFolder: this.largestKey(type.folders) }))
+                .sort((a, b) => b.size - a.size || b.count - a.count),
+            largest: files
+                .filter(file => file.size !== null)
+                .sort((a, b) => b.size - a.size || a.path.localeCompare(b.path))
+                .slice(0, this.LARGEST_COUNT),
+            tree: tree,
+            shared: shared
+        };
+    },
+
+    /**
+     * Total up a directory node and everything under it
+     */
+    summarizeFolder(dir, types, files, folders) {
+        const summary = { name: dir.name, path: dir.path, size: 0, fileCount: 0, ownSize: 0, ownFiles: 0, shared: 0, children: [] };
+        folders.set(dir.path, summary);
+
+        for (const child of dir.children.values()) {
+            if (child.type === 'directory') {
+                const sub = this.summarizeFolder(child, types, files, folders);
+                summary.children.push(sub);
+                summary.size += sub.size;
+                summary.fileCount += sub.fileCount;
+                continue;
+            }
+
+            const size = child.size || 0;
+            files.push(child);
+            summary.size += size;
+            summary.ownSize += size;
+            summary.fileCount++;
+            summary.ownFiles++;
+
+            const key = this.typeOf(child.name);
+            if (!types.has(key)) {
+                const group = SEARCH.TYPE_GROUPS[key];
+                types.set(key, { key: key, label: group ? group.label : 'Other', count: 0, size: 0, folders: new Map() });
+            }
+            const type = types.get(key);
+            type.count++;
+            type.size += size;
+            type.folders.set(dir.path, (type.folders.get(dir.path) || 0) + size);
+        }
+
+        summary.children.sort((a, b) => b.size - a.size || a.name.localeCompare(b.name));
+        return summary;
+    },
+
+    /**
+     * Search type group of a file name ('image', 'document', ...), or 'other'
+     */
+    typeOf(fileName) {
+        const ext = SEARCH.getExtension(fileName);
+        for (const [key, group] of Object.entries(SEARCH.TYPE_GROUPS)) {
+            if (group.extensions.includes(ext)) return key;
+        }
+        return 'other';
+    },
+
+    largestKey(map) {
+        let best = null;
+        let bestValue = -1;
+        for (const [key, value] of map) {
+            if (value > bestValue) {
+                best = key;
+                bestValue = value;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Squarified treemap layout of values into a box aspect times wider than it is tall
+     * Returns one rect per value, in the same order, as percentages: { x, y, width, height }
+     * Zero values get an empty rect
+     */
+    layoutTreemap(values, aspect = 1) {
+        const rects = values.map(() => ({ x: 0, y: 0, width: 0, height: 0 }));
+        const total = values.reduce((sum, value) => sum + Math.max(0, value), 0);
+        if (total <= 0) return rects;
+
+        // Lay out in a box of aspect × 1 so the cells come out square on screen
+        const order = values.map((value, i) => i).filter(i => values[i] > 0).sort((a, b) => values[b] - values[a]);
+        const scale = aspect / total;
+        let x = 0;
+        let y = 0;
+        let width = aspect;
+        let height = 1;
+
+        const worst = (row, side) => {
+            const sum = row.reduce((s, i) => s + values[i] * scale, 0);
+            const max = Math.max(...row.map(i => values[i] * scale));
+            const min = Math.min(...row.map(i => values[i] * scale));
+            return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+        };
+
+        const place = (row) => {
+            const sum = row.reduce((s, i) => s + values[i] * scale, 0);
+            if (width >= height) {
+                // Column along the left edge
+                const columnWidth = sum / height;
+                let offset = y;
+                for (const i of row) {
+                    const cellHeight = (values[i] * scale) / columnWidth;
+                    rects[i] = { x: x, y: offset, width: columnWidth, height: cellHeight };
+                    offset += cellHeight;
+                }
+                x += columnWidth;
+                width -= columnWidth;
+            } else {
+                // Row along the top edge
+                const rowHeight = sum / width;
+                let offset = x;
+                for (const i of row) {
+                    const cellWidth = (values[i] * scale) / rowHeight;
+                    rects[i] = { x: offset, y: y, width: cellWidth, height: rowHeight };
+                    offset += cellWidth;
+                }
+                y += rowHeight;
+                height -= rowHeight;
+            }
+        };
+
+        let row = [];
+        for (const i of order) {
+            const side = Math.min(width, height);
+            if (row.length === 0 || worst([...row, i], side) <= worst(row, side)) {
+                row.push(i);
+            } else {
+                place(row);
+                row = [i];
+            }
+        }
+        if (row.length > 0) place(row);
+
+        return rects.map(rect => ({
+            x: (rect.x / aspect) * 100,
+            y: rect.y * 100,
+            width: (rect.width / aspect) * 100,
+            height: rect.height * 100
+        }));
+    }
+};
@@ -0,0 +1,333 @@
+/**
+ * Storage backends for Zephyrus pages
+ * Resolves vault-relative paths (e.g. ".config/index") to URLs and fetches the raw encrypted bytes
+ */
+
+/**
+ * Reads a vault from raw.githubusercontent.com, a GitHub Enterprise raw host or any mirror
+ * that serves files as {host}/{username}/{repo}/{branch}/{path}
+ */
+class GitHubRawBackend {
+    constructor(username, options = {}) {
+        this.type = 'github';
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+        this.username = username;
+        this.host = (options.host || STORAGE.DEFAULT_HOST).replace(/\/+$/, '');
+        this.repo = options.repo || STORAGE.DEFAULT_REPO;
+        this.branch = options.branch || STORAGE.DEFAULT_BRANCH;
+    }
+
+    /**
+     * Build the URL for a path inside the vault repository
+     */
+    resolve(path) {
+        return `${this.host}/${this.username}/${this.repo}/${this.branch}/${STORAGE.cleanPath(path)}`;
+    }
+
+    /**
+     * Fetch a path inside the vault repository, retrying transient failures
+     */
+    fetch(path, init) {
+        return STORAGE.fetchWithRetry(this.fetchImpl, this.resolve(path), init);
+    }
+
+    /**
+     * Short human-readable description of where the vault is read from
+     */
+    describe() {
+        return `${this.host.replace(/^https?:\/\//, '')}/${this.username}/${this.repo}@${this.branch}`;
+    }
+}
+
+/**
+ * Reads a vault from any base URL that mirrors the repository layout,
+ * e.g. a self-hosted mirror or a local fixture server (http://localhost:8000/vault)
+ */
+class BaseURLBackend {
+    constructor(baseURL, options = {}) {
+        if (!baseURL) {
+            throw new Error('A base URL is required for the URL storage backend');
+        }
+        this.type = 'url';
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+        this.baseURL = baseURL.replace(/\/+$/, '');
+    }
+
+    resolve(path) {
+        return `${this.baseURL}/${STORAGE.cleanPath(path)}`;
+    }
+
+    fetch(path, init) {
+        return STORAGE.fetchWithRetry(this.fetchImpl, this.resolve(path), init);
+    }
+
+    describe() {
+        return this.baseURL.replace(/^https?:\/\//, '');
+    }
+}
+
+/**
+ * Reads a vault from files chosen or dropped on the page (a cloned repository or a backup of
+ * its blobs), keyed by vault-relative path; nothing is fetched over the network
+ */
+class LocalBackend {
+    constructor(files, options = {}) {
+        this.type = 'local';
+        this.files = files || new Map();
+        this.folder = options.folder || 'local files';
+    }
+
+    resolve(path) {
+        return `local:${encodeURIComponent(this.folder)}/${STORAGE.cleanPath(path)}`;
+    }
+
+    /**
+     * The chosen file for a vault path, or null. Blobs and share pointers that are not at
+     * their vault path (loose files from a backup) are matched by name; the index files
+     * must be in place.
+     */
+    find(path) {
+        const cleanPath = STORAGE.cleanPath(path);
+        const file = this.files.get(cleanPath);
+        if (file || cleanPath.includes('.config/')) return file || null;
+
+        const name = cleanPath.split('/').pop();
+        const matches = Array.from(this.files.keys()).filter(key => key.split('/').pop() === name);
+        return matches.length === 1 ? this.files.get(matches[0]) : null;
+    }
+
+    async fetch(path) {
+        const file = this.find(path);
+        if (!file) {
+            return new Response(null, { status: 404, statusText: 'Not among the chosen files' });
+        }
+        return new Response(file, { headers: { 'Content-Length': String(file.size) } });
+    }
+
+    describe() {
+        return `${this.folder} (local)`;
+    }
+}
+
+/**
+ * Reads a vault as it was at one commit through the GitHub contents API (a GitHubAPI from
+ * github.js), so earlier indexes and blobs deleted since then can still be read
+ */
+class GitHubCommitBackend {
+    constructor(api, ref) {
+        if (!api || !ref) {
+            throw new Error('A GitHub API client and a commit are required for the commit storage backend');
+        }
+        this.type = 'commit';
+        this.api = api;
+        this.ref = ref;
+    }
+
+    resolve(path) {
+        return `${this.api.apiBase}${this.api.contentsPath(path)}?ref=${encodeURIComponent(this.ref)}`;
+    }
+
+    async fetch(path) {
+        const file = await this.api.getFile(path, this.ref);
+        if (!file) {
+            return new Response(null, { status: 404, statusText: 'Not in this commit' });
+        }
+        return new Response(file.bytes, { headers: { 'Content-Length': String(file.bytes.length) } });
+    }
+
+    describe() {
+        return `${this.api.owner}/${this.api.repo}@${this.ref.slice(0, 7)}`;
+    }
+}
+
+const STORAGE = {
+    DEFAULT_HOST: 'https://raw.githubusercontent.com',
+    DEFAULT_REPO: '.zephyrus',
+    DEFAULT_BRANCH: 'master',
+
+    // Transient failures: retried up to MAX_RETRIES times, waiting RETRY_DELAY ms and doubling
+    RETRY_STATUSES: [500, 502, 503, 504],
+    MAX_RETRIES: 3,
+    RETRY_DELAY: 500,
+    // Rate limits that lift within this many ms are waited out rather than reported
+    MAX_RATE_LIMIT_WAIT: 10000,
+
+    /**
+     * Create a backend for a username from storage options
+     * Options: { backend: 'github' | 'url' | 'local' | 'commit', branch, host, base, folder, files, api, ref }
+     * where files is a Map of vault-relative path to File for the local backend (see LOCAL),
+     * and api a GitHubAPI and ref a commit sha for the commit backend
+     * Pass { fetch } to read through another fetch implementation (the global one by default)
+     */
+    createBackend(username, options = {}, { fetch } = {}) {
+        if (options.backend === 'url') {
+            return new BaseURLBackend(options.base, { fetch });
+        }
+        if (options.backend === 'local') {
+            return new LocalBackend(options.files, { folder: options.folder });
+        }
+        if (options.backend === 'commit') {
+            return new GitHubCommitBackend(options.api, options.ref);
+        }
+        return new GitHubRawBackend(username, {
+            host: options.host,
+            branch: options.branch,
+            fetch: fetch
+        });
+    },
+
+    /**
+     * Read storage options from URL parameters
+     * ?backend=url&base=http://localhost:8000/vault or ?b=main&host=https://ghe.example.com/raw
+     * ?backend=local&folder=name names a local folder, whose files have to be chosen again
+     */
+    optionsFromParams(params) {
+        const backend = params.get('backend');
+        return {
+            backend: backend === 'url' || backend === 'local' ? backend : 'github',
+            branch: params.get('b') || '',
+            host: params.get('host') || '',
+            base: params.get('base') || '',
+            folder: params.get('folder') || ''
+        };
+    },
+
+    /**
+     * Write non-default storage options into URL parameters
+     */
+    optionsToParams(options, params) {
+        if (!options) return params;
+        if (options.backend === 'local') {
+            params.set('backend', 'local');
+            if (options.folder) params.set('folder', options.folder);
+            return params;
+        }
+        if (options.backend === 'url') {
+            params.set('backend', 'url');
+            if (options.base) params.set('base', options.base);
+            return params;
+        }
+        if (options.branch && options.branch !== this.DEFAULT_BRANCH) params.set('b', options.branch);
+        if (options.host && options.host.replace(/\/+$/, '') !== this.DEFAULT_HOST) params.set('host', options.host);
+        return params;
+    },
+
+    /**
+     * Wrap a response body in a stream that reports bytes received
+     * onProgress(loaded, total) is called for every chunk; total is 0 when unknown
+     */
+    trackProgress(response, onProgress, fallbackTotal = 0) {
+        const total = Number(response.headers.get('Content-Length')) || fallbackTotal || 0;
+        let loaded = 0;
+
+        if (!response.body) {
+            // No streaming support: deliver the whole body as one chunk
+            return new ReadableStream({
+                async start(controller) {
+                    const buffer = new Uint8Array(await response.arrayBuffer());
+                    if (onProgress) onProgress(buffer.length, total || buffer.length);
+                    controller.enqueue(buffer);
+                    controller.close();
+                }
+            });
+        }
+
+        return response.body.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                if (onProgress) onProgress(loaded, Math.max(total, loaded));
+                controller.enqueue(chunk);
+            }
+        }));
+    },
+
+    /**
+     * Read a stream of Uint8Arrays into one Uint8Array
+     */
+    async readAll(stream) {
+        const reader = stream.getReader();
+        const parts = [];
+        let totalLength = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            totalLength += value.byteLength;
+        }
+        return CRYPTO.concatBuffers(parts, totalLength);
+    },
+
+    /**
+     * fetch() that rides out transient failures: network errors and 5xx responses are retried
+     * with exponential backoff, and short rate limits are waited out. Only GET and HEAD are
+     * retried. Throws a NetworkError if the server stays unreachable; other failed responses
+     * are returned for the caller to report (see ERRORS.fromResponse()).
+     */
+    async fetchWithRetry(fetchImpl, url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const retries = method === 'GET' || method === 'HEAD' ? this.MAX_RETRIES : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            const backoff = this.RETRY_DELAY * 2 ** attempt;
+            let response;
+            try {
+                response = await fetchImpl(url, init);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                if (attempt >= retries) {
+                    throw new NetworkError(`Could not reach ${ERRORS.hostOf(url)}: ${error.message}`, { cause: error });
+                }
+                console.warn(`Fetching ${url} failed, retrying in ${backoff} ms:`, error);
+                await this.wait(backoff, init.signal);
+                continue;
+            }
+            if (response.ok || attempt >= retries) return response;
+
+            let delay = null;
+            if (this.RETRY_STATUSES.includes(response.status)) {
+                delay = backoff;
+            }
+            const limit = ERRORS.rateLimitOf(response);
+            if (limit) {
+                const wait = limit.resetAt === null ? backoff : limit.resetAt - Date.now();
+                delay = wait <= this.MAX_RATE_LIMIT_WAIT ? Math.max(0, wait) : null;
+            }
+            if (delay === null) return response;
+
+            console.warn(`Fetching ${url} returned ${response.status}, retrying in ${delay} ms`);
+            // Release the connection held by the unread body of the response being dropped
+            if (response.body) {
+                response.body.cancel().catch(() => {});
+            }
+            await this.wait(delay, init.signal);
+        }
+    },
+
+    /**
+     * Resolve after ms, or reject with an AbortError when signal aborts first
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timeout = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timeout);
+                    reject(new DOMException('Aborted', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    },
+
+    /**
+     * Strip leading slashes so paths always resolve relative to the vault root
+     */
+    cleanPath(path) {
+        return String(path).replace(/^\/+/, '');
+    }
+};
+
+globalThis.STORAGE = STORAGE;
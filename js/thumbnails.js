@@ -0,0 +1,180 @@
+/**
+ * Image thumbnails for the Zephyrus grid view
+ * Decrypts images only when their tile scrolls into view, a few at a time, and keeps small
+ * downscaled copies in memory (never on disk) until the vault locks
+ */
+
+class ThumbnailLoader {
+    /**
+     * Options: { concurrency, maxEntries, maxBytes, size }
+     */
+    constructor(vault, options = {}) {
+        this.vault = vault;
+        this.concurrency = options.concurrency || ThumbnailLoader.DEFAULT_CONCURRENCY;
+        this.maxEntries = options.maxEntries || ThumbnailLoader.DEFAULT_MAX_ENTRIES;
+        this.maxBytes = options.maxBytes || ThumbnailLoader.DEFAULT_MAX_BYTES;
+        this.size = options.size || ThumbnailLoader.DEFAULT_SIZE;
+
+        // Object URLs by storage name, oldest first so the least recently used is evicted
+        this.cache = new Map();
+        this.queue = [];
+        this.active = 0;
+        this.targets = new Map();
+        this.controller = new AbortController();
+        this.observer = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver(entries => this.handleIntersections(entries), { rootMargin: '200px' })
+            : null;
+    }
+
+    /**
+     * Whether a file gets a thumbnail rather than an icon
+     */
+    canThumbnail(fileEntry) {
+        return CRYPTO.getMimeType(fileEntry.name).startsWith('image/') &&
+            (fileEntry.size === null || fileEntry.size <= this.maxBytes);
+    }
+
+    /**
+     * Show the thumbnail in img once the element is near the viewport
+     * onLoad() is called when the image is set; failures leave the icon in place
+     */
+    observe(element, img, fileEntry, onLoad = () => {}) {
+        if (!this.canThumbnail(fileEntry)) return;
+
+        const cached = this.cache.get(fileEntry.realName);
+        if (cached) {
+            this.touch(fileEntry.realName, cached);
+            img.src = cached;
+            onLoad();
+            return;
+        }
+
+        this.targets.set(element, { img, fileEntry, onLoad });
+        if (this.observer) {
+            this.observer.observe(element);
+        } else {
+            this.enqueue(element);
+        }
+    }
+
+    handleIntersections(entries) {
+        for (const entry of entries) {
+            if (entry.isIntersecting) {
+                this.observer.unobserve(entry.target);
+                this.enqueue(entry.target);
+            }
+        }
+    }
+
+    enqueue(element) {
+        if (!this.targets.has(element)) return;
+        this.queue.push(element);
+        this.pump();
+    }
+
+    /**
+     * Start queued loads up to the concurrency limit
+     */
+    pump() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const element = this.queue.shift();
+            const target = this.targets.get(element);
+            this.targets.delete(element);
+            if (!target) continue;
+
+            this.active++;
+            this.load(target).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    async load({ img, fileEntry, onLoad }) {
+        const signal = this.controller.signal;
+        try {
+            let url = this.cache.get(fileEntry.realName);
+            if (!url) {
+                // Thumbnails wait for any file the user opens
+                const buffer = await this.vault.downloadFile(fileEntry, { signal, priority: 'low' });
+                url = await this.createThumbnail(buffer, CRYPTO.getMimeType(fileEntry.name));
+                if (signal.aborted) {
+                    URL.revokeObjectURL(url);
+                    return;
+                }
+                this.touch(fileEntry.realName, url);
+            }
+            img.src = url;
+            onLoad();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn(`No thumbnail for ${fileEntry.path}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Downscale an image to fit the thumbnail size; returns an object URL
+     * SVGs, and browsers without createImageBitmap, use the original image
+     */
+    async createThumbnail(buffer, mimeType) {
+        const blob = new Blob([buffer], { type: mimeType });
+        if (mimeType === 'image/svg+xml' || typeof createImageBitmap === 'undefined') {
+            return URL.createObjectURL(blob);
+        }
+
+        const bitmap = await createImageBitmap(blob);
+        try {
+            const scale = Math.min(1, this.size / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.8));
+            return URL.createObjectURL(thumbnail || blob);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Mark a thumbnail as recently used, evicting the oldest beyond maxEntries
+     */
+    touch(realName, url) {
+        this.cache.delete(realName);
+        this.cache.set(realName, url);
+        while (this.cache.size > this.maxEntries) {
+            const [oldest, oldestURL] = this.cache.entries().next().value;
+            this.cache.delete(oldest);
+            URL.revokeObjectURL(oldestURL);
+        }
+    }
+
+    /**
+     * Forget tiles that are no longer shown (after leaving a folder); cached thumbnails stay
+     */
+    reset() {
+        if (this.observer) this.observer.disconnect();
+        this.targets.clear();
+        this.queue = [];
+    }
+
+    /**
+     * Stop loading and drop every decrypted thumbnail
+     */
+    clear() {
+        this.reset();
+        this.controller.abort();
+        this.controller = new AbortController();
+        for (const url of this.cache.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.cache.clear();
+    }
+}
+
+ThumbnailLoader.DEFAULT_CONCURRENCY = 2;
+ThumbnailLoader.DEFAULT_MAX_ENTRIES = 200;
+// Larger images are not decrypted just for a thumbnail
+ThumbnailLoader.DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+ThumbnailLoader.DEFAULT_SIZE = 160;
@@ -0,0 +1,379 @@
+/**
+ * Vault index model for Zephyrus pages
+ * Normalizes every known index schema variant into one tree when the index is loaded,
+ * and records problems (missing keys, duplicates, unreachable entries) for a diagnostics report
+ */
+
+class VaultIndex {
+    /**
+     * raw is the decrypted index JSON in any supported variant:
+     *   flat:   { "docs/a.txt": { realName, fileKey, Size, sha256 }, "docs": { type: "folder" } }
+     *   nested: { "docs": { type: "folder", contents: { "a.txt": {...} } } }
+     *   array:  [{ Path: "docs/a.txt", RealName, FileKey, Size }]
+     * optionally wrapped as { files: ... } or { Index: ... }, with a version field
+     */
+    constructor(raw) {
+        this.root = this.createDirectory('', '');
+        this.issues = [];
+        this.variants = new Set();
+        this.storageNames = new Map();
+        this.fileCount = 0;
+        this.folderCount = 0;
+        this.schemaVersion = VaultIndex.SCHEMA_VERSION;
+        this.sourceVersion = null;
+        // Field names as spelled by this index, reused when adding entries
+        this.spelling = null;
+        this.raw = raw;
+        this.parse(raw);
+    }
+
+    parse(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new CorruptDataError('Invalid index structure: expected a JSON object or array');
+        }
+
+        if (!Array.isArray(raw)) {
+            const version = this.field(raw, 'version');
+            this.sourceVersion = typeof version === 'object' ? null : version ?? null;
+        }
+        const entries = this.unwrap(raw);
+
+        if (Array.isArray(entries)) {
+            this.variants.add('array');
+            entries.forEach((entry, position) => {
+                const path = entry && typeof entry === 'object' ? this.field(entry, 'path') : null;
+                if (typeof path !== 'string' || !path) {
+                    this.addIssue('missing-key', `#${position}`, 'Array entry has no Path');
+                    return;
+                }
+                this.addEntry(path, entry);
+            });
+        } else {
+            for (const [key, entry] of Object.entries(entries)) {
+                if (entries === raw && VaultIndex.METADATA_KEYS.includes(key) && typeof entry !== 'object') continue;
+                this.addEntry(key, entry);
+            }
+        }
+    }
+
+    /**
+     * The object or array holding the entries, inside an optional { files } or { Index } wrapper
+     */
+    unwrap(raw) {
+        if (!Array.isArray(raw)) {
+            if (raw.files && typeof raw.files === 'object') return raw.files;
+            if (raw.Index && typeof raw.Index === 'object') return raw.Index;
+        }
+        return raw;
+    }
+
+    /**
+     * Add an entry (file or folder) at a vault path
+     */
+    addEntry(rawPath, entry) {
+        const parts = String(rawPath).split('/').filter(p => p);
+        const path = parts.join('/');
+
+        if (!entry || typeof entry !== 'object') {
+            this.addIssue('missing-key', rawPath, 'Entry is not an object');
+            return;
+        }
+        if (parts.length === 0 || parts.some(p => p === '.' || p === '..')) {
+            this.addIssue('unreachable', rawPath, 'Entry has an empty or relative path and cannot be opened');
+            return;
+        }
+        if (parts.length > 1) {
+            this.variants.add('flat');
+        }
+
+        const contents = this.field(entry, 'contents');
+        const realName = this.field(entry, 'realName');
+        const isFolder = this.field(entry, 'type') === 'folder' || (contents && !realName);
+
+        if (isFolder) {
+            const folder = this.ensureDirectory(parts, rawPath);
+            if (!folder) return;
+            if (contents && typeof contents === 'object') {
+                this.variants.add('nested');
+                for (const [name, child] of Object.entries(contents)) {
+                    this.addEntry(`${path}/${name}`, child);
+                }
+            }
+            return;
+        }
+
+        const fileKey = this.field(entry, 'fileKey');
+        const missing = [];
+        if (!realName) missing.push('realName');
+        if (!fileKey) missing.push('fileKey');
+        if (missing.length > 0) {
+            this.addIssue('missing-key', path, `File entry is missing ${missing.join(' and ')}`);
+            return;
+        }
+
+        const parent = this.ensureDirectory(parts.slice(0, -1), rawPath);
+        if (!parent) return;
+
+        const name = parts[parts.length - 1];
+        if (parent.children.has(name)) {
+            this.addIssue('duplicate', path, 'Entry appears more than once in the index; the first one is used');
+            return;
+        }
+
+        if (!this.spelling) {
+            this.spelling = {};
+            for (const name of ['path', 'realName', 'fileKey', 'size', 'sha256', 'modified']) {
+                this.spelling[name] = VaultIndex.FIELD_ALIASES[name].find(key => key in entry) || VaultIndex.FIELD_ALIASES[name][0];
+            }
+        }
+
+        const size = Number(this.field(entry, 'size'));
+        const storedSize = Number(this.field(entry, 'storedSize'));
+        const compression = String(this.field(entry, 'compression') ?? '').toLowerCase();
+        const sha256 = this.field(entry, 'sha256');
+        const modified = new Date(this.field(entry, 'modified') ?? NaN).getTime();
+        const file = {
+            type: 'file',
+            name: name,
+            path: path,
+            realName: realName,
+            fileKey: fileKey,
+            size: Number.isFinite(size) && size >= 0 ? size : null,
+            // Compressed size, for files compressed before encryption
+            storedSize: Number.isFinite(storedSize) && storedSize >= 0 ? storedSize : null,
+            // gzip, deflate or zstd when the whole decrypted payload is compressed (see COMPRESSION)
+            compression: compression && compression !== 'none' ? compression : null,
+            // Hash of the decrypted content; absent for files added before hashes were recorded
+            sha256: typeof sha256 === 'string' && /^[0-9a-f]{64}$/i.test(sha256) ? sha256.toLowerCase() : null,
+            // Milliseconds since the epoch, when the index records a date
+            modified: Number.isFinite(modified) ? modified : null
+        };
+        parent.children.set(name, file);
+        this.fileCount++;
+
+        if (this.storageNames.has(realName)) {
+            this.addIssue('duplicate', path, `Shares its stored blob with ${this.storageNames.get(realName)}`);
+        } else {
+            this.storageNames.set(realName, path);
+        }
+    }
+
+    /**
+     * Walk to a directory, creating missing ones; null (and an issue) if a file is in the way
+     */
+    ensureDirectory(parts, rawPath) {
+        let dir = this.root;
+        for (const part of parts) {
+            const child = dir.children.get(part);
+            if (!child) {
+                const created = this.createDirectory(part, dir.path ? `${dir.path}/${part}` : part);
+                dir.children.set(part, created);
+                this.folderCount++;
+                dir = created;
+            } else if (child.type === 'directory') {
+                dir = child;
+            } else {
+                this.addIssue('unreachable', rawPath, `${child.path} is a file, not a folder`);
+                return null;
+            }
+        }
+        return dir;
+    }
+
+    createDirectory(name, path) {
+        return { type: 'directory', name: name, path: path, children: new Map() };
+    }
+
+    addIssue(type, path, message) {
+        this.issues.push({ type, path: String(path), message });
+    }
+
+    /**
+     * Read a field under any of its known spellings
+     */
+    field(entry, name) {
+        for (const key of VaultIndex.FIELD_ALIASES[name]) {
+            if (entry[key] !== undefined && entry[key] !== null && entry[key] !== '') return entry[key];
+        }
+        return undefined;
+    }
+
+    /**
+     * Find a directory node by path ('' for the root)
+     */
+    getFolder(dirPath) {
+        let dir = this.root;
+        for (const part of String(dirPath).split('/').filter(p => p)) {
+            dir = dir.children.get(part);
+            if (!dir || dir.type !== 'directory') return null;
+        }
+        return dir;
+    }
+
+    /**
+     * List a directory: folders first, then files, both alphabetically
+     * Folders are { type: 'directory', name, path }; files are { type: 'file', name, path, realName, fileKey, size, sha256, modified }
+     */
+    getDirectory(dirPath) {
+        const dir = this.getFolder(dirPath);
+        if (!dir) return [];
+
+        const items = [];
+        for (const child of dir.children.values()) {
+            items.push(child.type === 'directory' ? { type: 'directory', name: child.name, path: child.path } : child);
+        }
+        return items.sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    findFile(filePath) {
+        const parts = String(filePath).split('/').filter(p => p);
+        const dir = this.getFolder(parts.slice(0, -1).join('/'));
+        const file = dir ? dir.children.get(parts[parts.length - 1]) : null;
+        return file && file.type === 'file' ? file : null;
+    }
+
+    /**
+     * Every file entry, by path
+     */
+    getFiles() {
+        const files = new Map();
+        const walk = (dir) => {
+            for (const child of dir.children.values()) {
+                if (child.type === 'directory') {
+                    walk(child);
+                } else {
+                    files.set(child.path, child);
+                }
+            }
+        };
+        walk(this.root);
+        return files;
+    }
+
+    /**
+     * Files added, removed or changed from this index to a later one, each sorted by path:
+     * { added, removed, changed } where changed holds { before, after } pairs. A file changed
+     * when it points at another blob, or its recorded hash or size differs.
+     */
+    diff(later) {
+        const before = this.getFiles();
+        const after = later.getFiles();
+        const differs = (a, b) => a !== null && b !== null && a !== b;
+        const byPath = (a, b) => (a.path || a.after.path).localeCompare(b.path || b.after.path);
+
+        const added = [];
+        const changed = [];
+        for (const [path, file] of after) {
+            const old = before.get(path);
+            if (!old) {
+                added.push(file);
+            } else if (old.realName !== file.realName || differs(old.sha256, file.sha256) || differs(old.size, file.size)) {
+                changed.push({ before: old, after: file });
+            }
+        }
+        const removed = Array.from(before.values()).filter(file => !after.has(file.path));
+
+        return { added: added.sort(byPath), removed: removed.sort(byPath), changed: changed.sort(byPath) };
+    }
+
+    /**
+     * Return a new index with a file added, keeping the raw JSON in its original layout
+     * and spelling so the CLI keeps reading it. fields: { realName, fileKey, size, sha256, modified }
+     */
+    withFile(dirPath, name, fields) {
+        const path = dirPath ? `${dirPath}/${name}` : name;
+        if (!name || name.includes('/') || name === '.' || name === '..') {
+            throw new Error(`Invalid file name: ${name}`);
+        }
+        if (this.findFile(path) || this.getFolder(path)) {
+            throw new Error(`${path} already exists in the vault`);
+        }
+
+        const raw = JSON.parse(JSON.stringify(this.raw));
+        const entries = this.unwrap(raw);
+        const spelling = this.spelling || { path: 'Path', realName: 'realName', fileKey: 'fileKey', size: 'Size', sha256: 'sha256', modified: 'modified' };
+        const entry = {
+            [spelling.realName]: fields.realName,
+            [spelling.fileKey]: fields.fileKey,
+            [spelling.size]: fields.size
+        };
+        if (fields.sha256) {
+            entry[spelling.sha256] = fields.sha256;
+        }
+        if (fields.modified) {
+            entry[spelling.modified] = fields.modified;
+        }
+
+        if (Array.isArray(entries)) {
+            entries.push({ [spelling.path]: path, ...entry });
+        } else {
+            const folder = dirPath ? this.findRawFolder(entries, dirPath) : null;
+            const contentsKey = folder ? VaultIndex.FIELD_ALIASES.contents.find(key => folder[key] && typeof folder[key] === 'object') : null;
+            if (contentsKey) {
+                folder[contentsKey][name] = entry;
+            } else {
+                entries[path] = entry;
+            }
+        }
+        return new VaultIndex(raw);
+    }
+
+    /**
+     * Find a folder entry in the raw JSON, stored under its full path or nested in parents' contents
+     */
+    findRawFolder(entries, dirPath) {
+        if (entries[dirPath]) return entries[dirPath];
+
+        const parts = dirPath.split('/').filter(p => p);
+        let folder = entries[parts[0]];
+        for (const part of parts.slice(1)) {
+            const contents = folder && this.field(folder, 'contents');
+            if (!contents) return null;
+            folder = contents[part];
+        }
+        return folder || null;
+    }
+
+    /**
+     * Summary for the diagnostics report
+     */
+    getDiagnostics() {
+        const counts = { 'missing-key': 0, duplicate: 0, unreachable: 0 };
+        for (const issue of this.issues) counts[issue.type]++;
+        return {
+            schemaVersion: this.schemaVersion,
+            sourceVersion: this.sourceVersion,
+            variants: Array.from(this.variants),
+            fileCount: this.fileCount,
+            folderCount: this.folderCount,
+            counts: counts,
+            issues: this.issues
+        };
+    }
+}
+
+// Version of the normalized model produced by VaultIndex
+VaultIndex.SCHEMA_VERSION = 1;
+
+// Spellings of each field used by different versions of the CLI
+VaultIndex.FIELD_ALIASES = {
+    path: ['Path', 'path'],
+    type: ['type', 'Type'],
+    contents: ['contents', 'Contents'],
+    realName: ['realName', 'RealName', 'StorageName', 'storage_name', 'real_name'],
+    fileKey: ['fileKey', 'FileKey', 'file_key'],
+    size: ['Size', 'size'],
+    storedSize: ['StoredSize', 'storedSize', 'stored_size', 'CompressedSize', 'compressed_size'],
+    compression: ['Compression', 'compression'],
+    sha256: ['sha256', 'SHA256', 'Sha256', 'hash'],
+    modified: ['modified', 'Modified', 'modified_at', 'ModifiedAt', 'date', 'Date'],
+    version: ['version', 'Version', 'schema_version', 'SchemaVersion']
+};
+
+// Top-level keys that describe the index rather than name a file
+VaultIndex.METADATA_KEYS = ['version', 'Version', 'schema_version', 'SchemaVersion'];
+
+globalThis.VaultIndex = VaultIndex;
@@ -0,0 +1,786 @@
+/**
+ * Vault model for Zephyrus pages and the ES module library (js/zephyrus.mjs)
+ * Reads and decrypts the index and files of one vault, and commits changes through the
+ * GitHub API. No DOM access: fetch and the trust record storage can be injected.
+ */
+
+class FileVault {
+    /**
+     * passwordKey is non-extractable PBKDF2 key material from CRYPTO.importPassword(), or null
+     * when the password is given to loadIndex()
+     * Options: { fetch, trustStore, backend, crypto } - trustStore is a localStorage-like object
+     * holding the index signature trust records (localStorage by default, none outside the
+     * browser); backend replaces the one the storage options describe; crypto is used instead
+     * of CRYPTO, e.g. CRYPTO_POOL.crypto() to decrypt in workers; log(message) receives
+     * progress messages (none are written by default) and warn(...details) problems worth a
+     * look, such as index issues (console.warn by default)
+     */
+    constructor(username, passwordKey, storageOptions = {}, options = {}) {
+        this.username = username;
+        this.passwordKey = passwordKey;
+        this.fileKeys = new Map();
+        this.index = null;
+        this.sharedIndex = null;
+        this.currentPath = '';
+        this.offlineSince = null;
+        // Paths whose decrypted content matched the hash in the index
+        this.verified = new Set();
+        // { compression, storedSize } by path, for files found compressed when downloaded
+        this.compressed = new Map();
+        this.indexSignature = null;
+        this.storageOptions = storageOptions;
+        this.backend = options.backend || STORAGE.createBackend(username, storageOptions, { fetch: options.fetch });
+        // The commit this vault is an earlier version of (see openSnapshot())
+        this.commit = null;
+        this.trustStore = options.trustStore || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.crypto = options.crypto || CRYPTO;
+        this.log = options.log || (() => {});
+        this.warn = options.warn || ((...details) => console.warn(...details));
+    }
+
+    /**
+     * The crypto service for one call: a pool's runs at options.priority and stops when
+     * options.signal aborts; CRYPTO itself runs everything at once
+     */
+    cryptoFor({ priority, signal } = {}) {
+        if (!this.crypto.with || (!priority && !signal)) return this.crypto;
+        return this.crypto.with(priority ? { priority, signal } : { signal });
+    }
+
+    /**
+     * Fetch and decrypt the vault index
+     * Given the password, imports it as the vault's key material, keeping its bytes only if
+     * the index says the vault uses Argon2id (see CRYPTO.passwords)
+     */
+    async loadIndex(password = null) {
+        const response = await OFFLINE.fetchIndex(this.backend, '.config/index');
+
+        if (!response.ok) {
+            throw ERRORS.fromResponse(response, 'the vault index', `No vault index found at ${this.backend.describe()} (${response.status})`);
+        }
+
+        // Set when the network was unreachable and the saved copy is used
+        this.offlineSince = response.fromCache ? Number(response.headers.get(OFFLINE.CACHED_AT_HEADER)) || Date.now() : null;
+
+        const encryptedBuffer = await response.arrayBuffer();
+        let decryptedBuffer;
+        try {
+            if (password !== null) {
+                this.passwordKey = await CRYPTO.importPassword(password, { kdf: CRYPTO.kdfOf(encryptedBuffer) });
+            }
+            decryptedBuffer = await this.crypto.decryptWithPassword(encryptedBuffer, this.passwordKey);
+        } catch (error) {
+            if (password !== null) CRYPTO.forgetPassword(this.passwordKey);
+            throw ERRORS.fromDecryptError(error, 'Wrong password, or the vault index is damaged', { password: true });
+        }
+
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder().decode(decryptedBuffer));
+        } catch (error) {
+            throw new CorruptDataError('The vault index decrypted, but its contents are damaged', { cause: error });
+        }
+
+        // Normalize whichever schema variant the index uses, once
+        this.index = new VaultIndex(data);
+        if (this.index.issues.length > 0) {
+            this.warn('Vault index has problems:', this.index.issues);
+        }
+
+        // An earlier index is older than the trust records by design, and its shares are gone
+        if (this.isSnapshot()) {
+            return this.index;
+        }
+
+        this.indexSignature = await this.checkIndexSignature(encryptedBuffer, Boolean(response.fromCache));
+        if (this.indexSignature.problem) {
+            this.warn('Vault index signature:', this.indexSignature.message);
+        }
+
+        // Also try to load the shared index
+        await this.loadSharedIndex();
+
+        return this.index;
+    }
+
+    /**
+     * Check the index signature, if the vault has one, against the signing key and sequence
+     * number this browser saw last time. Returns { status, problem, message, sequence, signedAt, record }
+     * where status is one of: unsigned, verified, unchecked, unsupported, missing (signature
+     * removed), invalid (does not match the index), key-changed, rollback (older than before)
+     */
+    async checkIndexSignature(encryptedIndex, fromCache) {
+        const vaultURL = this.backend.resolve('.config/index');
+        const trust = INTEGRITY.getTrust(vaultURL, this.trustStore);
+        const result = (status, problem, message, record = null) => ({
+            status: status,
+            problem: problem,
+            message: message,
+            sequence: record ? record.sequence : null,
+            signedAt: record ? record.signed_at : null,
+            record: record
+        });
+
+        let record = null;
+        try {
+            const response = await OFFLINE.fetchIndex(this.backend, INTEGRITY.SIGNATURE_PATH, 'index-signature');
+            if (response.ok) {
+                record = JSON.parse(await response.text());
+            }
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) {
+                this.warn('Could not fetch index signature:', error);
+                return result(trust ? 'unchecked' : 'unsigned', false, 'The index signature could not be fetched');
+            }
+            return result('invalid', true, 'The index signature is unreadable. The vault may have been tampered with.');
+        }
+
+        if (!record) {
+            return trust
+                ? result('missing', true, 'This vault was signed before, but its index signature is gone. The index may have been replaced.')
+                : result('unsigned', false, 'The index is not signed');
+        }
+        if (!await INTEGRITY.isSigningSupported()) {
+            return result('unsupported', false, 'This browser cannot check Ed25519 signatures', record);
+        }
+        if (!await INTEGRITY.verifyIndexSignature(encryptedIndex, record)) {
+            return result('invalid', true, 'The index signature does not match the index. It may have been tampered with, or changed by a tool that does not sign it.', record);
+        }
+        if (trust && trust.publicKey !== record.public_key) {
+            return result('key-changed', true, 'The index is signed with a different key than before.', record);
+        }
+        // A saved offline copy may legitimately be older than what was seen online
+        if (trust && record.sequence < trust.sequence && !fromCache) {
+            return result('rollback', true, `The index is older than one this browser has seen (version ${record.sequence}, last seen ${trust.sequence}). The vault may have been rolled back.`, record);
+        }
+
+        if (!fromCache) {
+            INTEGRITY.setTrust(vaultURL, { publicKey: record.public_key, sequence: Math.max(record.sequence, trust ? trust.sequence : 0) }, this.trustStore);
+        }
+        return result('verified', false, `Index signature verified (version ${record.sequence})`, record);
+    }
+
+    /**
+     * Accept the index as it is now: trust its current signing key and version, or forget
+     * the vault's signing state if it is no longer signed
+     */
+    trustCurrentIndex() {
+        const vaultURL = this.backend.resolve('.config/index');
+        const record = this.indexSignature && this.indexSignature.record;
+        INTEGRITY.setTrust(vaultURL, record ? { publicKey: record.public_key, sequence: record.sequence } : null, this.trustStore);
+    }
+
+    /**
+     * Turn on index signing: create a signing key, store it encrypted with the vault password
+     * (so anyone who can unlock the vault can re-sign it) and sign the current index
+     */
+    async enableIndexSigning(api) {
+        if (await api.getFile(INTEGRITY.SIGNING_KEY_PATH)) {
+            throw new Error('Index signing is already enabled for this vault');
+        }
+        const index = await api.getFile('.config/index');
+        if (!index) {
+            throw new Error('.config/index not found in the repository');
+        }
+
+        const signingKey = await INTEGRITY.generateSigningKey();
+        const encryptedKey = await this.crypto.encryptWithPassword(new TextEncoder().encode(JSON.stringify({
+            algorithm: 'Ed25519',
+            private_key: signingKey.privateKey,
+            public_key: signingKey.publicKey
+        })), this.passwordKey, CRYPTO.formatOf(index.bytes));
+        await api.putFile(INTEGRITY.SIGNING_KEY_PATH, encryptedKey, 'Add index signing key');
+
+        return this.signIndex(api, index.bytes);
+    }
+
+    /**
+     * Sign the encrypted index (read through the API unless given) with the vault's signing key,
+     * with a sequence number above any seen before
+     */
+    async signIndex(api, encryptedIndex = null) {
+        const keyFile = await api.getFile(INTEGRITY.SIGNING_KEY_PATH);
+        if (!keyFile) {
+            throw new Error('Index signing is not enabled for this vault');
+        }
+        const stored = JSON.parse(new TextDecoder().decode(await this.crypto.decryptWithPassword(keyFile.bytes, this.passwordKey)));
+
+        if (!encryptedIndex) {
+            encryptedIndex = (await api.getFile('.config/index')).bytes;
+        }
+
+        const vaultURL = this.backend.resolve('.config/index');
+        const current = await api.getFile(INTEGRITY.SIGNATURE_PATH);
+        let previous = 0;
+        try {
+            previous = current ? Number(JSON.parse(new TextDecoder().decode(current.bytes)).sequence) || 0 : 0;
+        } catch (e) {
+            this.warn('Replacing unreadable index signature');
+        }
+        const trust = INTEGRITY.getTrust(vaultURL, this.trustStore);
+        const sequence = Math.max(previous, trust ? trust.sequence : 0) + 1;
+
+        const record = await INTEGRITY.signIndex(encryptedIndex, { privateKey: stored.private_key, publicKey: stored.public_key }, sequence);
+        const bytes = new TextEncoder().encode(JSON.stringify(record, null, 2));
+        await api.putFile(INTEGRITY.SIGNATURE_PATH, bytes, 'Sign vault index', current ? current.sha : undefined);
+        await OFFLINE.store(this.backend.resolve(INTEGRITY.SIGNATURE_PATH), new Response(bytes), 'index-signature').catch(() => {});
+
+        INTEGRITY.setTrust(vaultURL, { publicKey: record.public_key, sequence: sequence }, this.trustStore);
+        this.indexSignature = {
+            status: 'verified',
+            problem: false,
+            message: `Index signature verified (version ${sequence})`,
+            sequence: sequence,
+            signedAt: record.signed_at,
+            record: record
+        };
+        return record;
+    }
+
+    /**
+     * Whether index changes have to be re-signed
+     */
+    isIndexSigned() {
+        return Boolean(this.indexSignature && this.indexSignature.record);
+    }
+
+    /**
+     * Fetch and decrypt the shared index
+     */
+    async loadSharedIndex() {
+        try {
+            const response = await OFFLINE.fetchIndex(this.backend, 'shared/.config/index', 'shared-index');
+
+            if (!response.ok) {
+                // Shared index might not exist if no files have been shared
+                this.log('No shared index found');
+                this.sharedIndex = null;
+                return;
+            }
+
+            const encryptedBuffer = await response.arrayBuffer();
+            const decryptedBuffer = await this.crypto.decryptWithPassword(encryptedBuffer, this.passwordKey);
+            const jsonString = new TextDecoder().decode(decryptedBuffer);
+            
+            this.sharedIndex = JSON.parse(jsonString);
+            this.log(`Shared index loaded with ${Object.keys(this.sharedIndex.files || {}).length} shares`);
+        } catch (error) {
+            this.warn('Failed to load shared index:', error);
+            this.sharedIndex = null;
+        }
+    }
+
+    /**
+     * Get all shared files
+     */
+    getSharedFiles() {
+        if (!this.sharedIndex || !this.sharedIndex.files) {
+            return [];
+        }
+
+        // Usable shares first, then ones not yet open, then expired ones
+        const statusOrder = { active: 0, pending: 1, expired: 2 };
+        const now = Date.now();
+        const entries = Object.values(this.sharedIndex.files);
+        return entries.sort((a, b) => {
+            const statusA = statusOrder[SHARES.getWindow(a, now).status];
+            const statusB = statusOrder[SHARES.getWindow(b, now).status];
+            if (statusA !== statusB) return statusA - statusB;
+            const dateA = new Date(a.shared_at || a.SharedAt || 0);
+            const dateB = new Date(b.shared_at || b.SharedAt || 0);
+            return dateB - dateA; // Most recent first
+        });
+    }
+
+    /**
+     * Generate share link from shared entry
+     */
+    generateShareLink(sharedEntry) {
+        const filename = sharedEntry.name || sharedEntry.Name || '';
+        const reference = sharedEntry.reference || sharedEntry.Reference;
+        const password = sharedEntry.password || sharedEntry.Password;
+        
+        // Format: username:reference:password:base64filename, or username:reference when
+        // the password is sent separately
+        return SHARES.formatShareString(this.username, reference, sharedEntry.password_separate ? null : password, filename);
+    }
+
+    /**
+     * Get the current directory contents
+     */
+    getCurrentDirectory() {
+        return this.getDirectory(this.currentPath);
+    }
+
+    /**
+     * Get the contents of a directory by path ('' for the root)
+     */
+    getDirectory(dirPath) {
+        if (!this.index) {
+            this.warn('Index not loaded');
+            return [];
+        }
+        return this.index.getDirectory(dirPath);
+    }
+
+    /**
+     * List every file under a directory, recursively
+     * Returns { files, folders } with paths relative to the vault root
+     */
+    getFilesUnder(dirPath) {
+        const files = [];
+        const folders = [];
+        const pending = [dirPath];
+        const visited = new Set();
+
+        while (pending.length > 0) {
+            const path = pending.shift();
+            if (visited.has(path)) continue;
+            visited.add(path);
+            folders.push(path);
+
+            for (const item of this.getDirectory(path)) {
+                if (item.type === 'directory') {
+                    pending.push(item.path);
+                } else {
+                    files.push(item);
+                }
+            }
+        }
+        return { files, folders };
+    }
+
+    /**
+     * Find a file anywhere in the vault by its full path
+     */
+    findFile(filePath) {
+        return this.index ? this.index.findFile(filePath) : null;
+    }
+
+    /**
+     * Navigate to a directory
+     */
+    navigateToDirectory(dirPath) {
+        this.currentPath = dirPath;
+    }
+
+    /**
+     * Navigate to parent directory
+     */
+    goUp() {
+        const parts = this.currentPath.split('/').filter(p => p);
+        parts.pop();
+        this.currentPath = parts.join('/');
+    }
+
+    /**
+     * Download and decrypt a file into memory
+     * Options: { signal, priority, onProgress(loaded, total) } - priority orders the decryption
+     * among other work when the vault decrypts in a CryptoPool: 'high', 'normal' or 'low'
+     */
+    async downloadFile(fileEntry, options = {}) {
+        try {
+            const stream = await this.downloadFileStream(fileEntry, options);
+            const decryptedBuffer = await STORAGE.readAll(stream);
+            this.log(`Decrypted ${fileEntry.path}: ${decryptedBuffer.byteLength} bytes`);
+            return decryptedBuffer;
+        } catch (error) {
+            if (error.name === 'AbortError' || error instanceof ZephyrusError) throw error;
+            this.warn('Download error:', error);
+            throw new Error(`Failed to download file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download and decrypt several files with bounded concurrency
+     * onFile(fileEntry, decryptedBuffer, error) is called as each one finishes or fails
+     */
+    async downloadFiles(fileEntries, { concurrency = 3, signal, priority, onFile } = {}) {
+        let next = 0;
+        const worker = async () => {
+            while (next < fileEntries.length) {
+                const fileEntry = fileEntries[next++];
+                if (signal && signal.aborted) return;
+                let decryptedBuffer = null;
+                let failure = null;
+                try {
+                    decryptedBuffer = await this.downloadFile(fileEntry, { signal, priority });
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    failure = error;
+                }
+                // Outside the try: an error thrown by onFile ends the whole download
+                await onFile(fileEntry, decryptedBuffer, failure);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, fileEntries.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+    }
+
+    /**
+     * Download a file and return a stream of decrypted bytes
+     * Options: { signal, priority, onProgress(loaded, total) } - progress counts encrypted bytes received
+     */
+    async downloadFileStream(fileEntry, options = {}) {
+        this.log(`Downloading ${fileEntry.path} from ${this.backend.resolve(fileEntry.realName)}`);
+        const response = await OFFLINE.fetchFile(this.backend, fileEntry.realName, { signal: options.signal });
+
+        if (!response.ok) {
+            throw ERRORS.fromResponse(response, fileEntry.name, `The encrypted copy of ${fileEntry.name} is missing from the vault (${response.status})`);
+        }
+
+        // First, decrypt the file key using the vault password
+        const fileKey = await this.decryptFileKey(fileEntry, options);
+
+        // Now decrypt the file as it arrives using the decrypted key, decompress it if it was
+        // compressed first, and check the result against the index's hash when it has one
+        const storedSize = Number(response.headers.get('Content-Length')) || fileEntry.storedSize;
+        const encryptedStream = STORAGE.trackProgress(response, options.onProgress, storedSize || fileEntry.size);
+        const { stream, compression } = await COMPRESSION.unwrap(
+            encryptedStream.pipeThrough(this.cryptoFor(options).createDecryptionStream(fileKey), { signal: options.signal }),
+            fileEntry.compression
+        );
+        if (compression) {
+            this.compressed.set(fileEntry.path, { compression, storedSize: storedSize || null });
+        }
+        return stream.pipeThrough(INTEGRITY.createVerifyStream(fileEntry.sha256, () => this.verified.add(fileEntry.path)));
+    }
+
+    /**
+     * Encrypt a file and commit it, with the updated index, through the GitHub API
+     * The index is re-read through the API rather than the raw host, so concurrent changes
+     * are not lost; it is written back in the format it was found in. Commit messages never
+     * contain file names. Returns the new file entry.
+     */
+    async uploadFile(api, dirPath, name, data, { onStatus = () => {} } = {}) {
+        const bytes = new Uint8Array(data);
+        const path = dirPath ? `${dirPath}/${name}` : name;
+        if (this.index.findFile(path) || this.index.getFolder(path)) {
+            throw new Error(`${path} already exists in the vault`);
+        }
+
+        onStatus(`Hashing ${name}...`);
+        const sha256 = await INTEGRITY.sha256(bytes);
+
+        onStatus(`Encrypting ${name}...`);
+        const rawKey = globalThis.crypto.getRandomValues(new Uint8Array(32));
+        try {
+            const encrypted = await this.crypto.encryptWithKey(bytes, rawKey, { format: 'legacy' });
+            const realName = this.generateStorageName();
+
+            onStatus(`Uploading ${name} (${CRYPTO.formatBytes(encrypted.length)} encrypted)...`);
+            const blobSha = await api.putFile(realName, encrypted, 'Add encrypted file');
+
+            onStatus('Updating vault index...');
+            let index;
+            let committed;
+            try {
+                committed = await this.updateEncryptedJSON(api, '.config/index', 'Update vault index', async (raw, format) => {
+                    // The key is wrapped the same way as the index itself
+                    const wrappedKey = await this.crypto.encryptWithPassword(rawKey, this.passwordKey, format);
+                    index = new VaultIndex(raw).withFile(dirPath, name, { realName: realName, fileKey: CRYPTO.bufferToHex(wrappedKey), size: bytes.length, sha256: sha256, modified: new Date().toISOString() });
+                    return index.raw;
+                });
+                await OFFLINE.store(this.backend.resolve('.config/index'), new Response(committed.encrypted), 'index').catch(() => {});
+            } catch (error) {
+                // Don't leave an unreferenced blob behind
+                if (blobSha) {
+                    await api.deleteFile(realName, 'Remove unreferenced encrypted file', blobSha).catch(() => {});
+                }
+                throw error;
+            }
+
+            this.index = index;
+            this.verified.add(path);
+
+            if (this.isIndexSigned()) {
+                onStatus('Signing vault index...');
+                try {
+                    await this.signIndex(api, committed.encrypted);
+                } catch (error) {
+                    throw new Error(`${name} was uploaded, but the index could not be re-signed: ${error.message}`);
+                }
+            }
+            return index.findFile(path);
+        } finally {
+            rawKey.fill(0);
+        }
+    }
+
+    /**
+     * Read an encrypted JSON file through the API, apply update(data, format) and commit the
+     * result in the same encryption format, starting over from the latest version if it
+     * changed in the meantime. create() supplies the data when the file does not exist yet.
+     * Returns { data, encrypted } as committed.
+     */
+    async updateEncryptedJSON(api, path, message, update, create = null) {
+        for (let attempt = 0; ; attempt++) {
+            const current = await api.getFile(path);
+            if (!current && !create) {
+                throw new Error(`${path} not found in the repository`);
+            }
+
+            const format = current ? CRYPTO.formatOf(current.bytes) : { format: 'legacy' };
+            const data = current
+                ? JSON.parse(new TextDecoder().decode(await this.crypto.decryptWithPassword(current.bytes, this.passwordKey)))
+                : create();
+            const updated = await update(data, format);
+            const encrypted = await this.crypto.encryptWithPassword(new TextEncoder().encode(JSON.stringify(updated)), this.passwordKey, format);
+
+            try {
+                await api.putFile(path, encrypted, message, current ? current.sha : undefined);
+                return { data: updated, encrypted: encrypted };
+            } catch (error) {
+                if ((error.status === 409 || error.status === 422) && attempt < 2) continue;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Share a file: write a pointer ({ storageID, fileKey }) encrypted with a new random
+     * share password under shared/, and record it in shared/.config/index
+     * Options: { expiresAt, notBefore, note } - all optional, stored in both pointer and entry -
+     * and { separatePassword } to leave the password out of the link
+     * Returns the new shared index entry
+     */
+    async createShare(api, fileEntry, options = {}) {
+        const reference = CRYPTO.bufferToHex(globalThis.crypto.getRandomValues(new Uint8Array(8)));
+        const password = CRYPTO.bufferToHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+
+        const rawKey = await this.decryptRawFileKey(fileEntry);
+        let pointer;
+        try {
+            // The name lets links without a filename still save under the right one
+            const pointerData = { storageID: fileEntry.realName, fileKey: CRYPTO.bufferToHex(rawKey), name: fileEntry.name, ...this.shareMetadata(options) };
+            // Lets the share page verify the decrypted file
+            if (fileEntry.sha256) pointerData.sha256 = fileEntry.sha256;
+            // Files compressed without the marker need the index's word for it
+            if (fileEntry.compression) pointerData.compression = fileEntry.compression;
+            const pointerJSON = JSON.stringify(pointerData);
+            pointer = await this.crypto.encryptWithPassword(new TextEncoder().encode(pointerJSON), password, { format: 'legacy' });
+        } finally {
+            rawKey.fill(0);
+        }
+
+        const pointerSha = await api.putFile(`shared/${reference}`, pointer, 'Add share');
+        const entry = {
+            name: fileEntry.name,
+            reference: reference,
+            password: password,
+            original_path: fileEntry.path,
+            shared_at: new Date().toISOString(),
+            ...this.shareMetadata(options)
+        };
+        if (options.separatePassword) {
+            entry.password_separate = true;
+        }
+
+        try {
+            await this.updateSharedIndex(api, 'Update shared index', (files) => {
+                files[reference] = entry;
+            });
+        } catch (error) {
+            await api.deleteFile(`shared/${reference}`, 'Remove unreferenced share', pointerSha).catch(() => {});
+            throw error;
+        }
+        return entry;
+    }
+
+    /**
+     * Optional availability window and note, as stored in pointers and shared index entries
+     */
+    shareMetadata({ expiresAt, notBefore, note } = {}) {
+        const metadata = {};
+        if (notBefore) metadata.not_before = new Date(notBefore).toISOString();
+        if (expiresAt) metadata.expires_at = new Date(expiresAt).toISOString();
+        if (note) metadata.note = note;
+        return metadata;
+    }
+
+    /**
+     * Revoke a share: delete its pointer (which kills the link) and its shared index entry
+     */
+    async revokeShare(api, reference) {
+        const pointer = await api.getFile(`shared/${reference}`);
+        if (pointer) {
+            await api.deleteFile(`shared/${reference}`, 'Revoke share', pointer.sha);
+        }
+        await this.updateSharedIndex(api, 'Update shared index', (files) => {
+            delete files[reference];
+        });
+    }
+
+    /**
+     * Apply a change to the shared index's files and commit it
+     */
+    async updateSharedIndex(api, message, change) {
+        const committed = await this.updateEncryptedJSON(api, 'shared/.config/index', message, (data) => {
+            if (!data.files || typeof data.files !== 'object') data.files = {};
+            change(data.files);
+            return data;
+        }, () => ({ files: {} }));
+
+        this.sharedIndex = committed.data;
+        await OFFLINE.store(this.backend.resolve('shared/.config/index'), new Response(committed.encrypted), 'shared-index').catch(() => {});
+    }
+
+    /**
+     * Random storage name for a new blob (16 hex characters), unused in this vault
+     */
+    generateStorageName() {
+        let name;
+        do {
+            name = CRYPTO.bufferToHex(globalThis.crypto.getRandomValues(new Uint8Array(8)));
+        } while (this.index.storageNames.has(name));
+        return name;
+    }
+
+    /**
+     * Keep a file's encrypted blob available offline
+     */
+    pinFile(fileEntry) {
+        return OFFLINE.pin(this.backend, fileEntry.realName);
+    }
+
+    unpinFile(fileEntry) {
+        return OFFLINE.evict(this.backend.resolve(fileEntry.realName));
+    }
+
+    isPinned(fileEntry, pinnedURLs) {
+        return pinnedURLs.has(this.backend.resolve(fileEntry.realName));
+    }
+
+    /**
+     * Whether the vault was opened from files on this device (see LocalBackend); such a copy
+     * is read-only here and needs no offline pinning
+     */
+    isLocal() {
+        return this.backend.type === 'local';
+    }
+
+    /**
+     * Whether this is an earlier version of a vault, opened with openSnapshot()
+     */
+    isSnapshot() {
+        return this.backend.type === 'commit';
+    }
+
+    isReadOnly() {
+        return this.isLocal() || this.isSnapshot();
+    }
+
+    /**
+     * Commits that changed the index, newest first: [{ sha, message, author, date }]
+     * Options: { page, perPage }
+     */
+    listHistory(api, options) {
+        return api.listCommits('.config/index', options);
+    }
+
+    /**
+     * The vault as it was at a commit from listHistory(): a read-only FileVault whose index
+     * and files are read through the API at that commit
+     */
+    async openSnapshot(api, commit) {
+        const snapshot = new FileVault(this.username, this.passwordKey, this.storageOptions, {
+            trustStore: this.trustStore,
+            crypto: this.crypto,
+            log: this.log,
+            warn: this.warn,
+            backend: STORAGE.createBackend(this.username, { backend: 'commit', api: api, ref: commit.sha })
+        });
+        snapshot.commit = commit;
+        await snapshot.loadIndex();
+        return snapshot;
+    }
+
+    /**
+     * Decrypt a file's key using the vault password
+     * Returns a non-extractable AES-GCM CryptoKey, cached until the vault is locked
+     * Options: { priority, signal } for the key derivation (see cryptoFor())
+     */
+    async decryptFileKey(fileEntry, options = {}) {
+        const encryptedKeyHex = fileEntry.fileKey;
+        if (this.fileKeys.has(encryptedKeyHex)) {
+            return this.fileKeys.get(encryptedKeyHex);
+        }
+
+        const fileKeyBuffer = await this.decryptRawFileKey(fileEntry, options);
+        const fileKey = await CRYPTO.importAESKey(fileKeyBuffer);
+        fileKeyBuffer.fill(0);
+        this.fileKeys.set(encryptedKeyHex, fileKey);
+        return fileKey;
+    }
+
+    /**
+     * Decrypt a file's key to its raw 32 bytes (needed to build share pointers)
+     * Callers must zero the returned buffer when done
+     */
+    async decryptRawFileKey(fileEntry, options = {}) {
+        if (!this.passwordKey) {
+            throw new Error('Vault is locked');
+        }
+
+        const encryptedKeyBuffer = CRYPTO.hexToBuffer(fileEntry.fileKey);
+        let fileKeyBuffer;
+        try {
+            fileKeyBuffer = await this.cryptoFor(options).decryptWithPassword(encryptedKeyBuffer, this.passwordKey);
+        } catch (e) {
+            // The password already opened the index, so the entry itself is damaged
+            throw ERRORS.fromDecryptError(e, `The key of ${fileEntry.path} could not be decrypted; its index entry is damaged`);
+        }
+
+        if (fileKeyBuffer.length !== 32) {
+            fileKeyBuffer.fill(0);
+            throw new CorruptDataError(`Invalid file key length after decryption: expected 32 bytes, got ${fileKeyBuffer.length}`);
+        }
+        return fileKeyBuffer;
+    }
+
+    /**
+     * Forget the decrypted index and every cached key
+     */
+    wipe() {
+        // Snapshots share the live vault's key material, which stays usable
+        if (!this.commit) CRYPTO.forgetPassword(this.passwordKey);
+        this.index = null;
+        this.sharedIndex = null;
+        this.passwordKey = null;
+        this.fileKeys.clear();
+        this.verified.clear();
+        this.compressed.clear();
+        this.indexSignature = null;
+        this.currentPath = '';
+    }
+
+    /**
+     * Get human-readable current path
+     */
+    getCurrentPathDisplay() {
+        return this.currentPath || 'root';
+    }
+
+    /**
+     * Get breadcrumb navigation
+     */
+    getBreadcrumbs() {
+        const crumbs = [{ name: 'Root', path: '' }];
+        if (this.currentPath) {
+            const parts = this.currentPath.split('/');
+            let currentPath = '';
+            for (const part of parts) {
+                currentPath = currentPath ? currentPath + '/' + part : part;
+                crumbs.push({ name: part, path: currentPath });
+            }
+        }
+        return crumbs;
+    }
+}
+
+// Top-level names of classic scripts are not global inside ES modules; see js/zephyrus.mjs
+globalThis.FileVault = FileVault;
@@ -0,0 +1,473 @@
+/**
+ * In-browser file previews for Zephyrus pages
+ * Renders decrypted buffers (text, code, Markdown, CSV, images, PDF) without writing anything to disk
+ */
+
+const VIEWER = {
+    // Larger text files are truncated in the preview (the full file can still be downloaded)
+    MAX_TEXT_BYTES: 2 * 1024 * 1024,
+    MAX_CSV_ROWS: 1000,
+
+    // Object URLs created for the current preview, revoked on clear()
+    objectURLs: [],
+
+    LANGUAGES: {
+        clike: {
+            extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'java', 'c', 'h', 'cpp', 'hpp', 'cc', 'cs', 'go', 'rs', 'swift', 'kt', 'php', 'dart', 'scala', 'json'],
+            lineComment: '//',
+            blockComment: ['/*', '*/'],
+            keywords: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'defer', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'final', 'finally', 'fn', 'for', 'func', 'function', 'go', 'if', 'impl', 'import', 'in', 'instanceof', 'interface', 'let', 'match', 'mut', 'new', 'null', 'package', 'private', 'protected', 'pub', 'public', 'return', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'use', 'var', 'void', 'while', 'yield']
+        },
+        css: {
+            extensions: ['css', 'scss', 'less'],
+            lineComment: null,
+            blockComment: ['/*', '*/'],
+            keywords: ['@media', '@import', '@keyframes', '@font-face', 'important']
+        },
+        hash: {
+            extensions: ['py', 'sh', 'bash', 'zsh', 'rb', 'pl', 'r', 'yaml', 'yml', 'toml', 'ini', 'conf', 'cfg', 'env', 'dockerfile', 'makefile'],
+            lineComment: '#',
+            blockComment: null,
+            keywords: ['and', 'as', 'begin', 'case', 'class', 'def', 'do', 'done', 'elif', 'else', 'end', 'esac', 'except', 'export', 'false', 'fi', 'for', 'from', 'function', 'if', 'import', 'in', 'lambda', 'local', 'module', 'nil', 'None', 'not', 'or', 'pass', 'raise', 'return', 'then', 'true', 'True', 'False', 'try', 'while', 'with', 'yield']
+        },
+        sql: {
+            extensions: ['sql'],
+            lineComment: '--',
+            blockComment: ['/*', '*/'],
+            keywords: ['select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table', 'drop', 'alter', 'join', 'left', 'right', 'inner', 'outer', 'on', 'and', 'or', 'not', 'null', 'group', 'by', 'order', 'having', 'limit', 'as', 'distinct', 'primary', 'key', 'index'],
+            caseInsensitive: true
+        },
+        markup: {
+            extensions: ['html', 'htm', 'xml', 'svg', 'vue'],
+            lineComment: null,
+            blockComment: ['<!--', '-->'],
+            keywords: [],
+            tags: true
+        }
+    },
+
+    TEXT_EXTENSIONS: ['txt', 'log', 'text', 'out', 'gitignore', 'properties'],
+
+    /**
+     * Decide how a file should be previewed: image, pdf, markdown, csv, code, text or null
+     */
+    getPreviewType(filename, buffer) {
+        const ext = this.getExtension(filename);
+        const mimeType = CRYPTO.getMimeType(filename);
+
+        if (mimeType.startsWith('image/')) return 'image';
+        if (mimeType === 'application/pdf') return 'pdf';
+        if (ext === 'md' || ext === 'markdown') return 'markdown';
+        if (ext === 'csv' || ext === 'tsv') return 'csv';
+        if (this.getLanguage(ext)) return 'code';
+        if (this.TEXT_EXTENSIONS.includes(ext)) return 'text';
+
+        // Unknown extension: preview as text if the content looks like text
+        if (buffer && this.looksLikeText(buffer)) return 'text';
+        return null;
+    },
+
+    /**
+     * Render a preview of a decrypted buffer into a container element
+     * Returns the preview type, or null if no preview is available
+     */
+    render(container, buffer, filename) {
+        this.clear(container);
+
+        const type = this.getPreviewType(filename, buffer);
+        const ext = this.getExtension(filename);
+
+        switch (type) {
+            case 'image':
+                container.appendChild(this.renderImage(buffer, filename));
+                break;
+            case 'pdf':
+                container.appendChild(this.renderPDF(buffer, filename));
+                break;
+            case 'markdown':
+                container.appendChild(this.renderMarkdownElement(this.decodeText(buffer)));
+                break;
+            case 'csv':
+                container.appendChild(this.renderCSV(this.decodeText(buffer), ext === 'tsv' ? '\t' : ','));
+                break;
+            case 'code':
+            case 'text':
+                container.appendChild(this.renderCode(this.decodeText(buffer), type === 'code' ? ext : null));
+                break;
+            default:
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-icon">👁️</div>
+                        <div class="empty-text">No preview available for this file type</div>
+                        <div class="text-muted">Download the file to open it with another application</div>
+                    </div>
+                `;
+        }
+
+        if (type && buffer.byteLength > this.MAX_TEXT_BYTES && ['markdown', 'csv', 'code', 'text'].includes(type)) {
+            const note = document.createElement('div');
+            note.className = 'preview-note';
+            note.textContent = `Preview truncated to the first ${CRYPTO.formatBytes(this.MAX_TEXT_BYTES)}. Download the file to see all of it.`;
+            container.appendChild(note);
+        }
+
+        return type;
+    },
+
+    /**
+     * Clear a container and release object URLs created for the previous preview
+     */
+    clear(container) {
+        if (container) container.innerHTML = '';
+        for (const url of this.objectURLs) {
+            window.URL.revokeObjectURL(url);
+        }
+        this.objectURLs = [];
+    },
+
+    renderImage(buffer, filename) {
+        const img = document.createElement('img');
+        img.className = 'preview-image';
+        img.alt = filename;
+        img.src = this.createObjectURL(buffer, CRYPTO.getMimeType(filename));
+        return img;
+    },
+
+    renderPDF(buffer, filename) {
+        const url = this.createObjectURL(buffer, 'application/pdf');
+        const object = document.createElement('object');
+        object.className = 'preview-pdf';
+        object.type = 'application/pdf';
+        object.data = url;
+
+        // Fallback for browsers without an inline PDF viewer
+        const fallback = document.createElement('div');
+        fallback.className = 'preview-note';
+        fallback.innerHTML = `Your browser cannot display PDFs inline. <a href="${url}" target="_blank" rel="noopener">Open ${this.escape(filename)}</a>`;
+        object.appendChild(fallback);
+        return object;
+    },
+
+    renderCode(text, ext) {
+        const pre = document.createElement('pre');
+        pre.className = 'preview-code';
+        const code = document.createElement('code');
+        code.innerHTML = ext ? this.highlight(text, ext) : this.escape(text);
+        pre.appendChild(code);
+        return pre;
+    },
+
+    renderMarkdownElement(text) {
+        const div = document.createElement('div');
+        div.className = 'preview-markdown';
+        div.innerHTML = this.renderMarkdown(text);
+        return div;
+    },
+
+    renderCSV(text, delimiter) {
+        const rows = this.parseCSV(text, delimiter);
+        const wrapper = document.createElement('div');
+        wrapper.className = 'preview-table-wrapper';
+
+        if (rows.length === 0) {
+            wrapper.innerHTML = '<div class="preview-note">Empty file</div>';
+            return wrapper;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'preview-table';
+        const shown = rows.slice(0, this.MAX_CSV_ROWS + 1);
+
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        for (const cell of shown[0]) {
+            const th = document.createElement('th');
+            th.textContent = cell;
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        for (const row of shown.slice(1)) {
+            const tr = document.createElement('tr');
+            for (const cell of row) {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        wrapper.appendChild(table);
+
+        if (rows.length > shown.length) {
+            const note = document.createElement('div');
+            note.className = 'preview-note';
+            note.textContent = `Showing the first ${this.MAX_CSV_ROWS} of ${rows.length - 1} rows.`;
+            wrapper.appendChild(note);
+        }
+        return wrapper;
+    },
+
+    /**
+     * Parse CSV text (RFC 4180 quoting) into an array of rows
+     */
+    parseCSV(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Syntax-highlight source code, returning escaped HTML
+     */
+    highlight(text, ext) {
+        const language = this.getLanguage(ext);
+        if (!language) return this.escape(text);
+
+        const patterns = [];
+        if (language.blockComment) {
+            const [open, close] = language.blockComment.map(t => this.escapeRegExp(t));
+            patterns.push(`(?<comment>${open}[\\s\\S]*?(?:${close}|$))`);
+        }
+        if (language.lineComment) {
+            patterns.push(`(?<lineComment>${this.escapeRegExp(language.lineComment)}[^\\n]*)`);
+        }
+        patterns.push('(?<string>"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)');
+        if (language.tags) {
+            patterns.push('(?<tag></?[A-Za-z][\\w:.-]*|/?>)');
+        }
+        patterns.push('(?<number>\\b\\d+(?:\\.\\d+)?\\b)');
+        if (language.keywords.length > 0) {
+            const words = language.keywords.map(w => this.escapeRegExp(w)).join('|');
+            patterns.push(`(?<keyword>(?<![\\w@])(?:${words})\\b)`);
+        }
+
+        const regex = new RegExp(patterns.join('|'), language.caseInsensitive ? 'gi' : 'g');
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            const kind = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+            const cls = kind === 'lineComment' ? 'comment' : kind;
+            html += this.escape(text.slice(last, match.index));
+            html += `<span class="hl-${cls}">${this.escape(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + this.escape(text.slice(last));
+    },
+
+    /**
+     * Render Markdown to HTML. All source text is escaped first, so raw HTML in the
+     * document is shown as text; only http(s)/mailto/anchor links are turned into links.
+     */
+    renderMarkdown(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let i = 0;
+
+        const isBlockStart = (line) => /^(#{1,6}\s|```|>|\s*([-*+]|\d+\.)\s|(\*{3,}|-{3,}|_{3,})\s*$)/.test(line);
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(/^```\s*([\w+-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].startsWith('```')) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const body = fence[1] ? this.highlight(code.join('\n'), fence[1].toLowerCase()) : this.escape(code.join('\n'));
+                html.push(`<pre class="preview-code"><code>${body}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^(\*{3,}|-{3,}|_{3,})\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (line.startsWith('>')) {
+                const quote = [];
+                while (i < lines.length && lines[i].startsWith('>')) {
+                    quote.push(lines[i].replace(/^>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderMarkdown(quote.join('\n'))}</blockquote>`);
+                continue;
+            }
+
+            const listItem = line.match(/^\s*([-*+]|\d+\.)\s+/);
+            if (listItem) {
+                const ordered = /\d/.test(listItem[1]);
+                const items = [];
+                while (i < lines.length) {
+                    const item = lines[i].match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+                    if (!item || /\d/.test(item[1]) !== ordered) break;
+                    const task = item[2].match(/^\[([ xX])\]\s+(.*)$/);
+                    items.push(task
+                        ? `<li><input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ${this.renderInline(task[2])}</li>`
+                        : `<li>${this.renderInline(item[2])}</li>`);
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>${items.join('')}</${tag}>`);
+                continue;
+            }
+
+            // Paragraph: consecutive lines until a blank line or another block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            html.push(`<p>${this.renderInline(paragraph.join(' '))}</p>`);
+        }
+
+        return html.join('\n');
+    },
+
+    /**
+     * Render inline Markdown (code spans, links, emphasis) on escaped text
+     */
+    renderInline(text) {
+        // Pull code spans out first so their contents are not formatted
+        const codeSpans = [];
+        let html = text.replace(/`([^`]+)`/g, (_, code) => {
+            codeSpans.push(`<code>${this.escape(code)}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        html = this.escape(html);
+
+        // Images are shown as links: loading remote images would reveal that the file was opened
+        html = html.replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (whole, label, url) => {
+            if (!/^(https?:|mailto:|#)/i.test(url)) return label;
+            return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label || url}</a>`;
+        });
+
+        html = html
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_([^_]+)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (_, n) => codeSpans[Number(n)]);
+    },
+
+    getLanguage(ext) {
+        for (const language of Object.values(this.LANGUAGES)) {
+            if (language.extensions.includes(ext)) return language;
+        }
+        return null;
+    },
+
+    getExtension(filename) {
+        const name = filename.toLowerCase().split('/').pop();
+        if (!name.includes('.')) return name;
+        return name.split('.').pop();
+    },
+
+    /**
+     * Heuristic: treat a buffer as text if its first 4 KB decode as UTF-8 without control characters
+     */
+    looksLikeText(buffer) {
+        const sample = new Uint8Array(buffer.buffer || buffer, buffer.byteOffset || 0, Math.min(buffer.byteLength, 4096));
+        const truncated = sample.length < buffer.byteLength;
+
+        // A multi-byte character cut off at the sample boundary is still text
+        for (let trim = 0; trim <= (truncated ? 3 : 0); trim++) {
+            try {
+                const text = new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, sample.length - trim));
+                return !/[\u0000-\u0008\u000E-\u001F]/.test(text);
+            } catch (e) {
+                // Try again without the last byte
+            }
+        }
+        return false;
+    },
+
+    decodeText(buffer) {
+        const bytes = new Uint8Array(buffer.buffer || buffer, buffer.byteOffset || 0, Math.min(buffer.byteLength, this.MAX_TEXT_BYTES));
+        return new TextDecoder().decode(bytes);
+    },
+
+    createObjectURL(buffer, mimeType) {
+        const url = window.URL.createObjectURL(new Blob([buffer], { type: mimeType }));
+        this.objectURLs.push(url);
+        return url;
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Zephyrus vault library as an ES module, for browsers and Node 20+ (WebCrypto)
+ * Loads the same scripts the pages use; they register their names on globalThis.
+ *
+ *   import { CRYPTO, FileVault } from './js/zephyrus.mjs';
+ *   const vault = new FileVault('username', null);
+ *   await vault.loadIndex(password);
+ *
+ * FileVault and STORAGE.createBackend() take { fetch } to read through another fetch
+ * implementation, and FileVault takes { trustStore } (getItem/setItem) for the index
+ * signature trust records. Outside a page, Argon2id vaults need CRYPTO.argon2 set and
+ * zstd-compressed files need COMPRESSION.zstd.
+ */
+
+import './errors.js';
+import './crypto.js';
+import './storage.js';
+import './compression.js';
+import './offline.js';
+import './integrity.js';
+import './vault-index.js';
+import './shares.js';
+import './github.js';
+import './vault.js';
+
+export const {
+    ERRORS,
+    ZephyrusError,
+    WrongPasswordError,
+    NotFoundError,
+    RateLimitedError,
+    NetworkError,
+    CorruptDataError,
+    UnsupportedFormatError,
+    CRYPTO,
+    STORAGE,
+    COMPRESSION,
+    OFFLINE,
+    INTEGRITY,
+    VaultIndex,
+    SHARES,
+    GitHubAPI,
+    GitHubAPIError,
+    FileVault
+} = globalThis;
@@ -0,0 +1,137 @@
+/**
+ * Client-side ZIP archive writer for Zephyrus pages
+ * Produces stored (uncompressed) entries so files can be streamed out as soon as they are decrypted
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file and return the bytes to write for it ([local header, data])
+     */
+    addFile(path, data, date = new Date()) {
+        const bytes = new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+        return this.addEntry(path, bytes, ZIP.crc32(bytes), date);
+    }
+
+    /**
+     * Add an (empty) directory entry; the path gets a trailing slash
+     */
+    addDirectory(path, date = new Date()) {
+        const dirPath = path.endsWith('/') ? path : path + '/';
+        return this.addEntry(dirPath, new Uint8Array(0), 0, date);
+    }
+
+    addEntry(path, bytes, crc, date) {
+        if (this.offset + bytes.length > ZIP.MAX_SIZE) {
+            throw new Error('Archive would exceed the 4 GB ZIP limit');
+        }
+
+        const name = new TextEncoder().encode(path);
+        const { time, day } = ZIP.dosDateTime(date);
+
+        const header = new Uint8Array(30 + name.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);   // Local file header signature
+        view.setUint16(4, 20, true);           // Version needed to extract
+        view.setUint16(6, ZIP.FLAG_UTF8, true);
+        view.setUint16(8, 0, true);            // Method: stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, day, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, bytes.length, true);
+        view.setUint32(22, bytes.length, true);
+        view.setUint16(26, name.length, true);
+        view.setUint16(28, 0, true);           // Extra field length
+        header.set(name, 30);
+
+        this.entries.push({ name, crc, size: bytes.length, time, day, offset: this.offset, isDirectory: path.endsWith('/') });
+        this.offset += header.length + bytes.length;
+        return bytes.length > 0 ? [header, bytes] : [header];
+    }
+
+    /**
+     * Return the central directory and end record that close the archive
+     */
+    finish() {
+        const parts = [];
+        let centralSize = 0;
+
+        for (const entry of this.entries) {
+            const record = new Uint8Array(46 + entry.name.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014b50, true);   // Central directory signature
+            view.setUint16(4, 20, true);           // Version made by
+            view.setUint16(6, 20, true);           // Version needed to extract
+            view.setUint16(8, ZIP.FLAG_UTF8, true);
+            view.setUint16(10, 0, true);           // Method: stored
+            view.setUint16(12, entry.time, true);
+            view.setUint16(14, entry.day, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.name.length, true);
+            view.setUint32(38, entry.isDirectory ? 0x10 : 0, true); // External attributes
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.name, 46);
+            parts.push(record);
+            centralSize += record.length;
+        }
+
+        if (this.entries.length > 0xffff) {
+            throw new Error('Archive would exceed the 65535 entry ZIP limit');
+        }
+
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054b50, true);       // End of central directory signature
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, this.offset, true);
+        parts.push(end);
+        return parts;
+    }
+}
+
+const ZIP = {
+    FLAG_UTF8: 0x0800,
+    MAX_SIZE: 0xffffffff,
+    CRC_TABLE: null,
+
+    /**
+     * CRC-32 (IEEE) of a byte array
+     */
+    crc32(bytes) {
+        if (!this.CRC_TABLE) {
+            this.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Convert a Date to MS-DOS time and date fields
+     */
+    dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+};
@@ -0,0 +1,156 @@
+/**
+ * Service worker for Zephyrus pages
+ * Caches the app shell so the pages load offline, and serves decrypted streams handed
+ * over by the page as attachment downloads, so large files go straight to disk without
+ * being held in memory. Vault data (encrypted index and pinned files) is cached by the
+ * pages themselves, see js/offline.js.
+ */
+
+const DOWNLOAD_PATH = '/zephyrus-download/';
+
+// Bump when the shell list changes; older shell caches are removed on activate
+const SHELL_CACHE = 'zephyrus-shell-v14';
+
+// Relative to the service worker scope (the site root)
+const APP_SHELL = [
+    './',
+    'index.html',
+    'files/',
+    'files/index.html',
+    'shared/',
+    'shared/index.html',
+    'local/',
+    'local/index.html',
+    'css/style.css',
+    'js/errors.js',
+    'js/crypto.js',
+    'js/crypto-pool.js',
+    'js/crypto-worker.js',
+    'js/vendor/argon2-bundled.min.js',
+    'js/storage.js',
+    'js/compression.js',
+    'js/vendor/zstd-wasm-decompress.min.js',
+    'js/local.js',
+    'js/session.js',
+    'js/profiles.js',
+    'js/offline.js',
+    'js/integrity.js',
+    'js/vault-index.js',
+    'js/github.js',
+    'js/shares.js',
+    'js/vault.js',
+    'js/viewer.js',
+    'js/download.js',
+    'js/zip.js',
+    'js/search.js',
+    'js/stats.js',
+    'js/thumbnails.js',
+    'js/files.js',
+    'images/manifest.json',
+    'images/favicon.ico',
+    'images/favicon-32x32.png',
+    'images/android-icon-192x192.png'
+];
+
+// Streams waiting for the download request, by id
+const pendingDownloads = new Map();
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL.map(path => new URL(path, self.registration.scope).href)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        for (const name of await caches.keys()) {
+            if (name.startsWith('zephyrus-shell-') && name !== SHELL_CACHE) {
+                await caches.delete(name);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type !== 'stream-download' || !event.ports[0]) return;
+
+    const port = event.ports[0];
+    const stream = new ReadableStream({
+        // Ask the page for one chunk at a time so nothing piles up in memory
+        pull(controller) {
+            return new Promise((resolve) => {
+                port.onmessage = ({ data: message }) => {
+                    if (message.type === 'chunk') {
+                        controller.enqueue(new Uint8Array(message.chunk));
+                    } else if (message.type === 'done') {
+                        controller.close();
+                    } else if (message.type === 'error') {
+                        controller.error(new Error(message.message));
+                    }
+                    resolve();
+                };
+                port.postMessage({ type: 'pull' });
+            });
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+        }
+    }, { highWaterMark: 1 });
+
+    pendingDownloads.set(data.id, {
+        stream: stream,
+        filename: data.filename,
+        mimeType: data.mimeType || 'application/octet-stream'
+    });
+    port.postMessage({ type: 'ready' });
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const marker = url.pathname.indexOf(DOWNLOAD_PATH);
+    if (marker === -1) {
+        if (event.request.method === 'GET' && url.origin === self.location.origin) {
+            event.respondWith(fromNetworkOrShell(event.request));
+        }
+        return;
+    }
+
+    const id = url.pathname.slice(marker + DOWNLOAD_PATH.length);
+    const download = pendingDownloads.get(id);
+    if (!download) {
+        event.respondWith(new Response('Download not found or already started', { status: 404 }));
+        return;
+    }
+    pendingDownloads.delete(id);
+
+    event.respondWith(new Response(download.stream, {
+        headers: {
+            'Content-Type': download.mimeType,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`,
+            'X-Content-Type-Options': 'nosniff'
+        }
+    }));
+});
+
+/**
+ * Network first so deploys show up immediately, refreshing the shell cache;
+ * the cached shell is used when offline. Query strings (?u=alice) are ignored for lookups.
+ */
+async function fromNetworkOrShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && await cache.match(request, { ignoreSearch: true })) {
+            await cache.put(request.url.split('?')[0], response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * Command-line access to a Zephyrus vault, built on js/zephyrus.mjs (Node 20+)
+ *
+ *   zephyrus-vault list <username> [--json]
+ *   zephyrus-vault decrypt <username> <path> [--out <file>]
+ *   zephyrus-vault share <share link or string> [--out <file>]
+ *
+ * Storage: --branch <name>, --host <raw host URL>, or --base <URL> to read a mirror
+ * Passwords come from ZEPHYRUS_PASSWORD / ZEPHYRUS_SHARE_PASSWORD, otherwise they are
+ * asked for on the terminal. Decrypted files are checked against their recorded hash.
+ */
+
+import { readFileSync, writeFileSync, createWriteStream, renameSync, rmSync } from 'node:fs';
+import { pipeline } from 'node:stream/promises';
+import { Readable } from 'node:stream';
+import { parseArgs, promisify } from 'node:util';
+import { createRequire } from 'node:module';
+import zlib from 'node:zlib';
+import { CRYPTO, STORAGE, COMPRESSION, SHARES, INTEGRITY, ERRORS, ZephyrusError, FileVault } from '../js/zephyrus.mjs';
+
+// zstd-compressed files decode with Node's own zstd support where it has it (22.15+),
+// otherwise with the WASM decoder the pages load
+if (zlib.zstdDecompress) {
+    COMPRESSION.zstd = promisify(zlib.zstdDecompress);
+} else {
+    const { ZstdInit } = createRequire(import.meta.url)('../js/vendor/zstd-wasm-decompress.min.js');
+    COMPRESSION.zstd = async (bytes) => (await ZstdInit()).ZstdStream.decompress(bytes);
+}
+
+const USAGE = `Usage:
+  zephyrus-vault list <username> [--json]
+  zephyrus-vault decrypt <username> <path> [--out <file>]
+  zephyrus-vault share <share link or string> [--out <file>]
+
+Options:
+  --branch <name>      Vault branch (default ${STORAGE.DEFAULT_BRANCH})
+  --host <url>         Raw file host (default ${STORAGE.DEFAULT_HOST})
+  --base <url>         Read the vault from a mirror of the repository instead
+  --out <file>         Write the decrypted file here instead of stdout
+  --json               List the index as JSON
+  --trust-file <file>  Keep index signature trust records in this JSON file
+  --verbose            Show debug logging on stderr
+
+Environment:
+  ZEPHYRUS_PASSWORD        Vault password
+  ZEPHYRUS_SHARE_PASSWORD  Share password, when the share string doesn't carry one`;
+
+// Hints replacing ERRORS.describe()'s page-oriented defaults
+const ERROR_HINTS = {
+    NotFoundError: 'Check the username and the --branch, --host or --base options.',
+    UnsupportedFormatError: 'It was made by a newer version of Zephyrus; update this tool.'
+};
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            branch: { type: 'string' },
+            host: { type: 'string' },
+            base: { type: 'string' },
+            out: { type: 'string', short: 'o' },
+            json: { type: 'boolean' },
+            'trust-file': { type: 'string' },
+            verbose: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        process.stderr.write(USAGE + '\n');
+        return options.help ? 0 : 2;
+    }
+
+    switch (command) {
+        case 'list':
+            return list(args, options);
+        case 'decrypt':
+            return decrypt(args, options);
+        case 'share':
+            return share(args, options);
+        default:
+            throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+}
+
+/**
+ * Print every file in the index, one "path<TAB>size" line each, or as JSON
+ */
+async function list([username], options) {
+    if (!username) throw new Error(`list needs a username\n\n${USAGE}`);
+    const vault = await openVault(username, options);
+
+    const files = [];
+    const walk = (dir) => {
+        for (const child of dir.children.values()) {
+            if (child.type === 'directory') {
+                walk(child);
+            } else {
+                files.push(child);
+            }
+        }
+    };
+    walk(vault.index.root);
+    files.sort((a, b) => a.path.localeCompare(b.path));
+
+    if (options.json) {
+        const entries = files.map(file => ({
+            path: file.path,
+            size: file.size,
+            storedSize: file.storedSize,
+            compression: file.compression,
+            sha256: file.sha256,
+            modified: file.modified === null ? null : new Date(file.modified).toISOString()
+        }));
+        process.stdout.write(JSON.stringify(entries, null, 2) + '\n');
+    } else {
+        for (const file of files) {
+            process.stdout.write(`${file.path}\t${file.size === null ? '?' : file.size}\n`);
+        }
+    }
+    return checkSignature(vault);
+}
+
+/**
+ * Decrypt one file from the vault to --out or stdout
+ */
+async function decrypt([username, filePath], options) {
+    if (!username || !filePath) throw new Error(`decrypt needs a username and a path\n\n${USAGE}`);
+    const vault = await openVault(username, options);
+
+    const fileEntry = vault.findFile(filePath);
+    if (!fileEntry) {
+        throw new Error(`${filePath} is not in the vault index`);
+    }
+
+    await writeOutput(await vault.downloadFileStream(fileEntry), options.out);
+    if (!fileEntry.sha256) {
+        console.warn(`${fileEntry.path} has no recorded hash, so its content could not be verified`);
+    }
+    return checkSignature(vault);
+}
+
+/**
+ * Resolve a share link or string and decrypt the shared file to --out or stdout
+ */
+async function share([link], options) {
+    if (!link) throw new Error(`share needs a share link or string\n\n${USAGE}`);
+
+    // A full link carries the share string in its fragment and storage options in its query
+    let shareString = link;
+    let storageOptions = storageOptionsFrom(options);
+    const hashIndex = link.indexOf('#');
+    if (hashIndex !== -1) {
+        shareString = decodeURIComponent(link.substring(hashIndex + 1));
+        if (/^https?:\/\//.test(link) && !options.base && !options.branch && !options.host) {
+            storageOptions = STORAGE.optionsFromParams(new URL(link).searchParams);
+        }
+    }
+
+    const { username, reference, password, fileName } = SHARES.parseShareString(shareString);
+    const backend = STORAGE.createBackend(username, storageOptions);
+
+    const pointerResponse = await backend.fetch(`shared/${reference}`);
+    if (!pointerResponse.ok) {
+        throw ERRORS.fromResponse(pointerResponse, 'the share pointer', `There is no share ${reference} (${pointerResponse.status}); the share string may be wrong or the share revoked`);
+    }
+    const sharePassword = password || await readPassword('ZEPHYRUS_SHARE_PASSWORD', 'Share password: ');
+
+    let decryptedPointer;
+    try {
+        decryptedPointer = await CRYPTO.decryptWithPassword(await pointerResponse.arrayBuffer(), sharePassword);
+    } catch (e) {
+        throw ERRORS.fromDecryptError(e, 'The share password does not open this share', { password: true });
+    }
+    const pointer = SHARES.parsePointer(decryptedPointer);
+
+    const availability = SHARES.getWindow(pointer);
+    if (availability.status === 'expired') {
+        throw new Error(`This share expired on ${availability.expiresAt.toISOString()}`);
+    }
+    if (availability.status === 'pending') {
+        throw new Error(`This share is not available until ${availability.notBefore.toISOString()}`);
+    }
+
+    if (fileName || pointer.name) {
+        console.error(`Shared file: ${fileName || pointer.name}`);
+    }
+    if (pointer.note) {
+        console.error(`Note: ${pointer.note}`);
+    }
+
+    const fileResponse = await backend.fetch(pointer.storageID);
+    if (!fileResponse.ok) {
+        throw ERRORS.fromResponse(fileResponse, 'the shared file', `The shared file is no longer in the vault (${fileResponse.status}); the share may have been revoked`);
+    }
+    const { stream } = await COMPRESSION.unwrap(fileResponse.body.pipeThrough(CRYPTO.createDecryptionStream(pointer.key)), pointer.compression);
+    await writeOutput(stream.pipeThrough(INTEGRITY.createVerifyStream(pointer.sha256)), options.out);
+    return 0;
+}
+
+async function openVault(username, options) {
+    const password = await readPassword('ZEPHYRUS_PASSWORD', `Password for ${username}: `);
+    const vault = new FileVault(username, null, storageOptionsFrom(options), {
+        trustStore: options['trust-file'] ? createFileStore(options['trust-file']) : null,
+        // stdout carries file contents and listings, so progress and warnings go to stderr;
+        // signature problems are reported either way (see checkSignature())
+        log: options.verbose ? (message) => console.error(message) : null,
+        warn: options.verbose ? (...args) => console.error(...args) : () => {}
+    });
+    await vault.loadIndex(password);
+    return vault;
+}
+
+function storageOptionsFrom(options) {
+    if (options.base) {
+        return { backend: 'url', base: options.base };
+    }
+    return { backend: 'github', branch: options.branch || '', host: options.host || '' };
+}
+
+/**
+ * Exit status for a loaded vault: 1 if the index signature check found a problem
+ */
+function checkSignature(vault) {
+    const signature = vault.indexSignature;
+    if (signature && signature.problem) {
+        console.error(`Index signature: ${signature.message}`);
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Write decrypted bytes to a file, or stdout without one
+ * A file is only put in place once the whole stream (and its hash check) succeeded
+ */
+async function writeOutput(stream, outPath) {
+    if (!outPath) {
+        await pipeline(Readable.fromWeb(stream), process.stdout);
+        return;
+    }
+
+    const partPath = `${outPath}.part`;
+    try {
+        await pipeline(Readable.fromWeb(stream), createWriteStream(partPath));
+        renameSync(partPath, outPath);
+    } catch (error) {
+        rmSync(partPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * localStorage-like store backed by a JSON file, for the index signature trust records
+ */
+function createFileStore(path) {
+    const readAll = () => {
+        try {
+            return JSON.parse(readFileSync(path, 'utf8'));
+        } catch (e) {
+            return {};
+        }
+    };
+    return {
+        getItem(key) {
+            const all = readAll();
+            return key in all ? all[key] : null;
+        },
+        setItem(key, value) {
+            const all = readAll();
+            all[key] = String(value);
+            writeFileSync(path, JSON.stringify(all, null, 2) + '\n');
+        }
+    };
+}
+
+/**
+ * Password from an environment variable, or typed on the terminal without echo
+ */
+async function readPassword(envName, question) {
+    if (process.env[envName]) {
+        return process.env[envName];
+    }
+    const stdin = process.stdin;
+    if (!stdin.isTTY) {
+        throw new Error(`No terminal to ask for the password; set ${envName}`);
+    }
+
+    process.stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+
+    return new Promise((resolve, reject) => {
+        let value = '';
+        const finish = () => {
+            stdin.off('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            process.stderr.write('\n');
+        };
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    finish();
+                    resolve(value);
+                    return;
+                }
+                if (char === '\u0003') {
+                    finish();
+                    reject(new Error('Cancelled'));
+                    return;
+                }
+                value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+            }
+        };
+        stdin.on('data', onData);
+    });
+}
+
+main().then(
+    code => { process.exitCode = code; },
+    error => {
+        // Typed errors come with what to do about them
+        console.error(`Error: ${error instanceof ZephyrusError ? ERRORS.explain(error, ERROR_HINTS) : error.message}`);
+        process.exitCode = 1;
+    }
+);